@@ -0,0 +1,435 @@
+/**
+ * Regression Harness
+ * Scores RateOfFireDetector against the labeled recordings in vectors/
+ *
+ * Each vector encodes its expected rate in the file name
+ * (e.g. `1o6nfsp_699.mp4.flac` is expected to measure 699 RPM).
+ * Vectors are decoded in Node, so no AudioContext or FFmpeg is involved.
+ * After the vectors, a set of checks runs: findPeaks against values
+ * computed by scipy, no labeled burst flagged as a rate disagreement, shot
+ * and burst edits still applying after parameter changes, and stereo vectors
+ * staying within tolerance with channel voting on.
+ *
+ * Usage:
+ *   node scripts/evaluate.js [--tolerance=<percent>] [--verbose] [--auto-tune]
+ *                            [--<parameter>=<value> ...] [vector ...]
+ *
+ * Any detector option (e.g. --peakThresholdStd=1.5) can be overridden
+ * to check how a parameter change affects the labeled set. --auto-tune
+ * lets RateOfFireDetector.autoTune choose the shot parameters per vector.
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { basename, dirname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { FLACDecoder } from '@wasm-audio-decoders/flac';
+import { RateOfFireDetector } from '../src/rof-detector.js';
+import * as signal from '../src/signal-processing.js';
+
+const VECTORS_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '../vectors');
+const DEFAULT_TOLERANCE = 10; // percent
+
+// Parameter changes that move shot times slightly without changing which
+// shots are found; shot and burst edits must still apply after each
+const EDIT_PARAMETER_CHANGES = [
+  {},
+  { windowSize: 0.0025 },
+  { shotTimeReference: 'leading-edge' },
+  { peakThresholdStd: 1.1 }
+];
+
+// scipy.signal.find_peaks (scipy 1.17.1) on SCIPY_SIGNAL with each set of
+// options, property names in camelCase; findPeaks must reproduce them
+const SCIPY_SIGNAL = [0, 1, 3, 2, 5, 5, 5, 1, 0, 2, 2, 4, 3, 6, 1, 1.5, 1, 7, 7, 2, 3, 0.5, 4.5, 4.5, 4.5, 4.5, 2, 1, 3, 2.5, 8, 0];
+const SCIPY_PEAKS = [
+  {
+    options: {},
+    peaks: [2, 5, 11, 13, 15, 17, 20, 23, 28, 30],
+    properties: {}
+  },
+  {
+    options: { height: 3, threshold: [0.5, null] },
+    peaks: [2, 11, 13, 20, 28, 30],
+    properties: {
+      peakHeights: [3, 4, 6, 3, 3, 8],
+      leftThresholds: [2, 2, 3, 1, 2, 5.5],
+      rightThresholds: [1, 1, 5, 2.5, 0.5, 8]
+    }
+  },
+  {
+    options: { height: [2, 5] },
+    peaks: [2, 5, 11, 20, 23, 28],
+    properties: {
+      peakHeights: [3, 5, 4, 3, 4.5, 3]
+    }
+  },
+  {
+    options: { distance: 4 },
+    peaks: [5, 13, 17, 23, 30],
+    properties: {}
+  },
+  {
+    options: { prominence: 1 },
+    peaks: [2, 5, 11, 13, 17, 20, 23, 30],
+    properties: {
+      prominences: [1, 5, 1, 5, 6.5, 1, 3.5, 8],
+      leftBases: [0, 0, 8, 8, 8, 19, 21, 8],
+      rightBases: [3, 8, 12, 14, 21, 21, 27, 31]
+    }
+  },
+  {
+    options: { prominence: 1, wlen: 7 },
+    peaks: [2, 5, 11, 13, 17, 20, 23, 30],
+    properties: {
+      prominences: [1, 3, 1, 4, 5, 1, 2.5, 7],
+      leftBases: [0, 3, 8, 10, 16, 19, 21, 27],
+      rightBases: [3, 8, 12, 14, 19, 21, 26, 31]
+    }
+  },
+  {
+    options: { width: 1.5, relHeight: 0.7 },
+    peaks: [5, 13, 17, 23, 30],
+    properties: {
+      prominences: [5, 5, 6.5, 3.5, 8],
+      leftBases: [0, 8, 8, 21, 8],
+      rightBases: [8, 14, 21, 27, 31],
+      widths: [5.625, 3.45, 2.668333333333333, 4.5925, 3],
+      widthHeights: [1.5, 2.5, 2.45, 2.05, 2.4],
+      leftIps: [1.25, 10.25, 16.241666666666667, 21.3875, 27.7],
+      rightIps: [6.875, 13.7, 18.91, 25.98, 30.7]
+    }
+  },
+  {
+    options: { plateauSize: [2, null] },
+    peaks: [5, 17, 23],
+    properties: {
+      plateauSizes: [3, 2, 4],
+      leftEdges: [4, 17, 22],
+      rightEdges: [6, 18, 25]
+    }
+  }
+];
+
+/**
+ * Parse command line arguments into tolerance, detector options and vector paths
+ */
+function parseArgs(argv) {
+  const args = {
+    tolerance: DEFAULT_TOLERANCE,
+    verbose: false,
+    autoTune: false,
+    detectorOptions: {},
+    vectors: []
+  };
+
+  for (const arg of argv) {
+    if (arg === '--verbose') {
+      args.verbose = true;
+    } else if (arg === '--auto-tune') {
+      args.autoTune = true;
+    } else if (arg.startsWith('--tolerance=')) {
+      args.tolerance = parseFloat(arg.slice('--tolerance='.length));
+    } else if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      if (value === undefined) {
+        throw new Error(`Missing value for option --${key}`);
+      }
+      const numeric = Number(value);
+      if (value === 'true' || value === 'false') {
+        args.detectorOptions[key] = value === 'true';
+      } else {
+        args.detectorOptions[key] = Number.isNaN(numeric) ? value : numeric;
+      }
+    } else {
+      args.vectors.push(resolve(arg));
+    }
+  }
+
+  if (!Number.isFinite(args.tolerance) || args.tolerance < 0) {
+    throw new Error('Tolerance must be a non-negative number');
+  }
+
+  return args;
+}
+
+/**
+ * Extract the labeled RPM from a vector file name
+ */
+function expectedRpm(path) {
+  const match = basename(path).match(/_(\d+(?:\.\d+)?)\./);
+  return match ? parseFloat(match[1]) : null;
+}
+
+async function listVectors() {
+  const entries = await readdir(VECTORS_DIR);
+  return entries
+    .filter(name => name.endsWith('.flac'))
+    .sort()
+    .map(name => join(VECTORS_DIR, name));
+}
+
+/**
+ * Decode a FLAC vector into its channels; the detector's default 'mid'
+ * channel mode averages them like the browser's extraction
+ */
+async function decodeVector(decoder, path) {
+  const data = await readFile(path);
+  const { channelData, sampleRate, errors } = await decoder.decodeFile(new Uint8Array(data));
+  await decoder.reset();
+
+  if (errors.length > 0) {
+    throw new Error(`Failed to decode ${basename(path)}: ${errors[0].message}`);
+  }
+
+  return { channelData, sampleRate };
+}
+
+function sameNumbers(a, b) {
+  return a.length === b.length && a.every((value, i) => Math.abs(value - b[i]) <= 1e-9);
+}
+
+/**
+ * Measured rate of a run and its error against the label
+ * The median burst rate is robust to a single odd burst; it is the figure
+ * users read off as "the" cyclic rate.
+ */
+function score(summary, expected) {
+  const measured = summary.totalBursts > 0 ? summary.medianBurstRateRpm : null;
+  const errorPercent = measured === null ? null : ((measured - expected) / expected) * 100;
+  return { measured, errorPercent };
+}
+
+/**
+ * Run findPeaks on the scipy fixture; every peak and property must match
+ */
+function checkFindPeaks() {
+  const mismatches = SCIPY_PEAKS.filter(({ options, peaks, properties }) => {
+    const result = signal.findPeaks(SCIPY_SIGNAL, options);
+    const names = Object.keys(properties);
+    return !sameNumbers(result.peaks, peaks) ||
+      Object.keys(result.properties).sort().join() !== [...names].sort().join() ||
+      names.some(name => !sameNumbers(result.properties[name], properties[name]));
+  });
+
+  return {
+    name: 'findPeaks matches scipy',
+    pass: mismatches.length === 0,
+    detail: mismatches.length === 0
+      ? `${SCIPY_PEAKS.length} option sets`
+      : `differs with ${mismatches.map(m => JSON.stringify(m.options)).join(', ')}`
+  };
+}
+
+/**
+ * Edit a vector's shots and bursts the way the UI does, re-run it with each of
+ * EDIT_PARAMETER_CHANGES, and confirm every edit still takes effect
+ * @param {string} name - Vector file name
+ * @param {RateOfFireDetector} detector - Detector that has just run on the vector
+ * @param {Array<Object>} bursts - Its burst results (at least two)
+ */
+function checkEdits(name, detector, bursts) {
+  const longest = bursts.reduce((a, b) => (b.numShots > a.numShots ? b : a));
+  const middle = Math.floor(longest.numShots / 2);
+  const noBurstEdits = { splits: [], merges: [], included: [], excluded: [] };
+  const noShotEdits = { added: [], removed: [] };
+  const shotCount = (result) => result.bursts.reduce((sum, b) => sum + b.numShots, 0);
+
+  // Each edit with how it shows in the results, compared to a run without it
+  const edits = {
+    merge: {
+      burstEdits: { ...noBurstEdits, merges: [[bursts[0].endTime, bursts[1].startTime]] },
+      holds: (edited, unedited) => edited.bursts.length === unedited.bursts.length - 1
+    },
+    split: {
+      burstEdits: { ...noBurstEdits, splits: [(longest.shotTimes[middle - 1] + longest.shotTimes[middle]) / 2] },
+      holds: (edited, unedited) => edited.bursts.length === unedited.bursts.length + 1
+    },
+    exclude: {
+      burstEdits: { ...noBurstEdits, excluded: [(bursts[0].startTime + bursts[0].endTime) / 2] },
+      holds: (edited) => edited.bursts.filter(b => b.excluded).length === 1
+    },
+    'shot removal': {
+      shotEdits: { ...noShotEdits, removed: [longest.shotTimes[middle]] },
+      holds: (edited, unedited) => shotCount(edited) === shotCount(unedited) - 1
+    }
+  };
+
+  const original = detector.getParameters();
+  const failures = [];
+  for (const change of EDIT_PARAMETER_CHANGES) {
+    detector.setParameters({ ...original, ...change });
+    const unedited = detector.run();
+
+    for (const [edit, { holds, ...parameters }] of Object.entries(edits)) {
+      detector.setParameters(parameters);
+      if (!holds(detector.run(), unedited)) failures.push(`${edit} with ${JSON.stringify(change)}`);
+      detector.setParameters({ shotEdits: noShotEdits, burstEdits: noBurstEdits });
+    }
+  }
+  detector.setParameters(original);
+
+  return {
+    name: 'edits survive parameter changes',
+    pass: failures.length === 0,
+    detail: failures.length === 0
+      ? `${Object.keys(edits).length} edits of ${name} under ${EDIT_PARAMETER_CHANGES.length} parameter sets`
+      : `lost ${failures.join('; ')} on ${name}`
+  };
+}
+
+/**
+ * The labeled vectors are measured correctly, so none of their bursts should
+ * be flagged as a shot count / cyclic rate disagreement
+ */
+function checkRateFlags(rows) {
+  const flagged = rows.filter(r => r.suspectBursts?.length > 0);
+  const bursts = rows.reduce((sum, r) => sum + (r.bursts ?? 0), 0);
+
+  return {
+    name: 'no labeled burst flagged as a rate disagreement',
+    pass: flagged.length === 0,
+    detail: flagged.length === 0
+      ? `${bursts} bursts`
+      : flagged.map(r => `${r.name} burst ${r.suspectBursts.join(', ')}`).join('; ')
+  };
+}
+
+/**
+ * Stereo vectors scored with channel voting on must stay within tolerance
+ */
+function checkChannelVoting(votingRows, tolerance) {
+  const name = 'stereo vectors within tolerance with channel voting';
+  if (votingRows.length === 0) return { name, pass: null, detail: 'no stereo vectors' };
+
+  const failed = votingRows.filter(r => r.errorPercent === null || Math.abs(r.errorPercent) > tolerance);
+  const votedOut = votingRows.reduce((sum, r) => sum + r.votedOutPeaks, 0);
+  const worst = votingRows.reduce((a, b) => (Math.abs(b.errorPercent) > Math.abs(a.errorPercent) ? b : a));
+  const formatError = (r) => (r.errorPercent === null ? 'no bursts' : `${r.errorPercent >= 0 ? '+' : ''}${r.errorPercent.toFixed(1)}%`);
+
+  return {
+    name,
+    pass: failed.length === 0,
+    detail: failed.length === 0
+      ? `${votingRows.length} vectors, ${votedOut} peaks voted out, worst ${formatError(worst)}`
+      : failed.map(r => `${r.name} ${formatError(r)}`).join('; ')
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const vectors = args.vectors.length > 0 ? args.vectors : await listVectors();
+
+  if (vectors.length === 0) {
+    console.error(`No vectors found in ${VECTORS_DIR}`);
+    process.exit(1);
+  }
+
+  // The detector logs every stage; keep the report readable unless asked
+  const logger = args.verbose ? console : { log() {}, warn: console.warn };
+
+  const decoder = new FLACDecoder();
+  await decoder.ready;
+
+  const rows = [];
+  const votingRows = [];
+  let editCheck = null; // Run on the first vector with two bursts
+  try {
+    for (const path of vectors) {
+      const expected = expectedRpm(path);
+      if (expected === null) {
+        rows.push({ name: basename(path), expected: null, error: 'no RPM label in file name' });
+        continue;
+      }
+
+      const { channelData, sampleRate } = await decodeVector(decoder, path);
+      const detector = new RateOfFireDetector({ ...args.detectorOptions, logger });
+      detector.loadPCM(channelData, sampleRate);
+      if (args.autoTune) detector.autoTune();
+      const { summary, bursts } = detector.run();
+      if (!editCheck && bursts.length >= 2) {
+        editCheck = checkEdits(basename(path), detector, bursts);
+      }
+
+      const { measured, errorPercent } = score(summary, expected);
+      rows.push({
+        name: basename(path),
+        expected,
+        measured,
+        errorPercent,
+        shots: summary.totalShots,
+        bursts: summary.totalBursts,
+        suspectBursts: bursts.filter(b => b.rateSuspect).map(b => b.burstNumber),
+        pass: errorPercent !== null && Math.abs(errorPercent) <= args.tolerance
+      });
+
+      // Stereo vectors are scored again with channel voting, which only
+      // re-runs peak detection and reuses the cached channel envelopes
+      if (channelData.length > 1) {
+        detector.setParameters({ channelVoting: true });
+        const voted = detector.run();
+        votingRows.push({
+          name: basename(path),
+          votedOutPeaks: voted.channel.votedOutPeaks,
+          ...score(voted.summary, expected)
+        });
+      }
+    }
+  } finally {
+    decoder.free();
+  }
+
+  // Report
+  const nameWidth = Math.max(6, ...rows.map(r => r.name.length));
+  console.log(
+    'Vector'.padEnd(nameWidth) + '  ' +
+    'Expected'.padStart(8) + '  ' +
+    'Measured'.padStart(8) + '  ' +
+    'Error'.padStart(7) + '  ' +
+    'Shots'.padStart(5) + '  ' +
+    'Bursts'.padStart(6) + '  Result'
+  );
+
+  for (const row of rows) {
+    if (row.error) {
+      console.log(`${row.name.padEnd(nameWidth)}  SKIP (${row.error})`);
+      continue;
+    }
+
+    console.log(
+      row.name.padEnd(nameWidth) + '  ' +
+      row.expected.toFixed(0).padStart(8) + '  ' +
+      (row.measured === null ? '-' : row.measured.toFixed(1)).padStart(8) + '  ' +
+      (row.errorPercent === null ? '-' : `${row.errorPercent >= 0 ? '+' : ''}${row.errorPercent.toFixed(1)}%`).padStart(7) + '  ' +
+      String(row.shots).padStart(5) + '  ' +
+      String(row.bursts).padStart(6) + '  ' +
+      (row.pass ? 'PASS' : 'FAIL')
+    );
+  }
+
+  const checks = [
+    checkFindPeaks(),
+    checkRateFlags(rows),
+    editCheck ?? { name: 'edits survive parameter changes', pass: null, detail: 'no vector with two bursts' },
+    checkChannelVoting(votingRows, args.tolerance)
+  ];
+  console.log('');
+  for (const check of checks) {
+    const result = check.pass === null ? 'SKIP' : check.pass ? 'PASS' : 'FAIL';
+    console.log(`${result}  ${check.name} (${check.detail})`);
+  }
+
+  const scored = rows.filter(r => !r.error);
+  const passed = scored.filter(r => r.pass).length;
+  const errors = scored.filter(r => r.errorPercent !== null).map(r => Math.abs(r.errorPercent));
+  const meanError = errors.length > 0 ? errors.reduce((a, b) => a + b, 0) / errors.length : 0;
+
+  console.log('');
+  console.log(`${passed}/${scored.length} vectors within ±${args.tolerance}% (mean absolute error ${meanError.toFixed(2)}%)`);
+
+  if (passed < scored.length || checks.some(check => check.pass === false)) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
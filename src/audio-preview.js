@@ -0,0 +1,165 @@
+/**
+ * Audio Preview
+ * Plays a region of the analyzed audio through Web Audio with a short click
+ * mixed in at every shot, so detection can be checked by ear
+ */
+
+const CLICK_DURATION = 0.004; // seconds
+const CLICK_FREQUENCY = 2000; // Hz, well above most of a gunshot's energy
+const CLICK_LEVEL = 0.6;
+const BURST_FADE = 0.01; // seconds of fade at burst edges in bursts-only mode
+
+/**
+ * Render a region of audio with clicks at the given shot times
+ * The region is clipped to the samples, so it can start later than asked.
+ * @param {Float32Array} samples - Mono samples normalized to [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Preview options
+ * @param {number} options.timeOffset - Time of samples[0] in seconds (default: 0)
+ * @param {number} options.start - Region start in seconds
+ * @param {number} options.end - Region end in seconds
+ * @param {Array<number>} options.shotTimes - Times to click at, in seconds
+ * @param {Array<Array<number>>} options.burstSpans - [start, end] of each burst, in seconds
+ * @param {boolean} options.clicksOnly - Leave the audio out and play just the clicks
+ * @param {boolean} options.burstsOnly - Silence audio and clicks outside the burst spans
+ * @returns {Object} {samples: rendered region, start: its actual start in seconds}
+ */
+export function renderClickTrack(samples, sampleRate, options) {
+  const {
+    timeOffset = 0,
+    start = timeOffset,
+    end = timeOffset + samples.length / sampleRate,
+    shotTimes = [],
+    burstSpans = [],
+    clicksOnly = false,
+    burstsOnly = false
+  } = options;
+
+  // Sample indices into `samples`; times are shifted by timeOffset
+  const first = Math.max(Math.floor((start - timeOffset) * sampleRate), 0);
+  const last = Math.min(Math.ceil((end - timeOffset) * sampleRate), samples.length);
+  const output = new Float32Array(Math.max(last - first, 0));
+
+  if (!clicksOnly) {
+    output.set(samples.subarray(first, last));
+  }
+
+  // Decaying sine burst, so the click is audible over the shot itself
+  const clickLength = Math.round(CLICK_DURATION * sampleRate);
+  const click = new Float32Array(clickLength);
+  for (let i = 0; i < clickLength; i++) {
+    const decay = Math.exp((-5 * i) / clickLength);
+    click[i] = CLICK_LEVEL * decay * Math.sin((2 * Math.PI * CLICK_FREQUENCY * i) / sampleRate);
+  }
+
+  for (const time of shotTimes) {
+    const offset = Math.round((time - timeOffset) * sampleRate) - first;
+    if (offset < 0 || offset >= output.length) continue;
+
+    const n = Math.min(clickLength, output.length - offset);
+    for (let i = 0; i < n; i++) {
+      output[offset + i] = Math.max(-1, Math.min(1, output[offset + i] + click[i]));
+    }
+  }
+
+  if (burstsOnly) {
+    applyBurstGate(output, sampleRate, first, burstSpans.map(span => span.map(time => time - timeOffset)));
+  }
+
+  return { samples: output, start: timeOffset + first / sampleRate };
+}
+
+/**
+ * Silence everything outside the burst spans, with short fades at the edges
+ */
+function applyBurstGate(output, sampleRate, first, burstSpans) {
+  const gain = new Float32Array(output.length);
+  const fade = Math.max(Math.round(BURST_FADE * sampleRate), 1);
+
+  for (const [spanStart, spanEnd] of burstSpans) {
+    const from = Math.round(spanStart * sampleRate) - first - fade;
+    const to = Math.round(spanEnd * sampleRate) - first + fade;
+
+    for (let i = Math.max(from, 0); i < Math.min(to, output.length); i++) {
+      const edge = Math.min(i - from, to - i);
+      gain[i] = Math.max(gain[i], Math.min(edge / fade, 1));
+    }
+  }
+
+  for (let i = 0; i < output.length; i++) {
+    output[i] *= gain[i];
+  }
+}
+
+/**
+ * Web Audio player for click-track previews
+ * One preview plays at a time; starting another stops the previous one.
+ */
+export class ClickTrackPreview {
+  constructor() {
+    this.context = null; // Created on first play, since browsers require a user gesture
+    this.source = null;
+    this.startedAt = 0; // context time when playback started
+    this.start = 0; // region start in seconds
+    this.playbackRate = 1;
+    this.onEnded = null;
+  }
+
+  /**
+   * Play a region (see renderClickTrack for options)
+   * @param {Float32Array} samples - Mono samples normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options - renderClickTrack options, plus playbackRate
+   */
+  async play(samples, sampleRate, options) {
+    this.stop();
+
+    if (!this.context) {
+      this.context = new AudioContext();
+    }
+    await this.context.resume();
+
+    const { samples: rendered, start } = renderClickTrack(samples, sampleRate, options);
+    if (rendered.length === 0) return;
+
+    const buffer = this.context.createBuffer(1, rendered.length, sampleRate);
+    buffer.copyToChannel(rendered, 0);
+
+    const source = this.context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = options.playbackRate ?? 1;
+    source.connect(this.context.destination);
+    source.addEventListener('ended', () => {
+      if (this.source !== source) return;
+      this.source = null;
+      if (this.onEnded) this.onEnded();
+    });
+
+    this.source = source;
+    this.start = start;
+    this.playbackRate = source.playbackRate.value;
+    this.startedAt = this.context.currentTime;
+    source.start();
+  }
+
+  stop() {
+    if (!this.source) return;
+
+    const source = this.source;
+    this.source = null;
+    source.stop();
+    if (this.onEnded) this.onEnded();
+  }
+
+  get playing() {
+    return this.source !== null;
+  }
+
+  /**
+   * Current position in the analyzed audio, in seconds (null when stopped)
+   */
+  get position() {
+    if (!this.source) return null;
+    return this.start + (this.context.currentTime - this.startedAt) * this.playbackRate;
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Audio Sources
+ * Adapters that turn media into raw PCM for RateOfFireDetector.analyzePCM
+ *
+ * Every adapter resolves to the same shape:
+ *   { sampleRate: number, channelData: Array<Float32Array> }
+ * with samples normalized to [-1, 1], one Float32Array per channel.
+ */
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * Extract audio from any video/audio file using FFmpeg
+ * @param {File|Blob} file - The input file
+ * @param {FFmpeg} ffmpeg - A loaded FFmpeg instance
+ * @param {Object} options - Extraction options
+ * @param {number} options.sampleRate - Output sample rate (default: 44100)
+ * @param {number|null} options.channels - Output channel count, null keeps the source layout (default: 1)
+ * @param {number} options.start - Seek to this time in seconds before extracting (default: 0)
+ * @param {number|null} options.end - Stop at this time in seconds, null for the end of the file (default: null)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Promise<Object>} {sampleRate, channelData}
+ */
+export async function extractWithFFmpeg(file, ffmpeg, options = {}) {
+  const {
+    sampleRate = 44100,
+    channels = 1,
+    start = 0,
+    end = null,
+    onProgress = null
+  } = options;
+
+  if (!(start >= 0) || !Number.isFinite(start)) {
+    throw new Error(`Invalid extraction start: ${start}s`);
+  }
+  if (end !== null && !(end > start)) {
+    throw new Error(`Extraction end (${end}s) must be after its start (${start}s)`);
+  }
+
+  if (onProgress) onProgress('Extracting audio...');
+
+  // Write input file
+  const fileData = await file.arrayBuffer();
+  await ffmpeg.writeFile('input', new Uint8Array(fileData));
+
+  // Input seeking (-ss before -i) skips decoding everything before the range
+  const args = [];
+  if (start > 0) {
+    args.push('-ss', String(start));
+  }
+  args.push('-i', 'input');
+  if (end !== null) {
+    args.push('-t', String(end - start));
+  }
+  if (channels !== null) {
+    args.push('-ac', String(channels));
+  }
+  args.push(
+    '-ar', String(sampleRate),
+    '-f', 'wav',       // WAV format
+    '-y',              // overwrite
+    'output.wav'
+  );
+
+  try {
+    await ffmpeg.exec(args);
+
+    // Read the output WAV file
+    const wavData = await ffmpeg.readFile('output.wav');
+    return parseWav(wavData);
+  } finally {
+    // Clean up
+    await ffmpeg.deleteFile('input');
+    await ffmpeg.deleteFile('output.wav').catch(() => {});
+  }
+}
+
+/**
+ * Decode a file with the browser's Web Audio API
+ * Only handles formats the browser can decode natively, and resamples
+ * to the AudioContext's rate.
+ * @param {ArrayBuffer} arrayBuffer - Encoded audio data
+ * @returns {Promise<Object>} {sampleRate, channelData}
+ */
+export async function decodeWithWebAudio(arrayBuffer) {
+  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+
+  try {
+    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+
+    const channelData = [];
+    for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+      channelData.push(audioBuffer.getChannelData(ch));
+    }
+
+    return { sampleRate: audioBuffer.sampleRate, channelData };
+  } finally {
+    audioContext.close();
+  }
+}
+
+/**
+ * Parse a RIFF/WAVE file into PCM
+ * Supports integer PCM (8/16/24/32-bit) and IEEE float (32/64-bit)
+ * @param {ArrayBuffer|Uint8Array} data - WAV file contents
+ * @returns {Object} {sampleRate, channelData}
+ */
+export function parseWav(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readTag(view, offset);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        formatTag: view.getUint16(body, true),
+        numChannels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+
+      // The real format lives in the first two bytes of the SubFormat GUID
+      if (format.formatTag === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 26) {
+        format.formatTag = view.getUint16(body + 24, true);
+      }
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk appears before fmt chunk');
+      }
+
+      // Streamed WAVs may carry a placeholder size; trust the buffer instead
+      const dataSize = Math.min(chunkSize, bytes.length - body);
+      return decodeSamples(view, body, dataSize, format);
+    }
+
+    // Chunks are padded to an even number of bytes
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Average all channels into a single mono channel
+ * @param {Array<Float32Array>} channelData - One array per channel
+ * @returns {Float32Array} Mono samples
+ */
+export function downmix(channelData) {
+  if (channelData.length === 1) return channelData[0];
+
+  const length = channelData[0].length;
+  const mono = new Float32Array(length);
+  const scale = 1 / channelData.length;
+
+  for (const channel of channelData) {
+    for (let i = 0; i < length; i++) {
+      mono[i] += channel[i] * scale;
+    }
+  }
+
+  return mono;
+}
+
+function readTag(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+function decodeSamples(view, start, size, format) {
+  const { formatTag, numChannels, sampleRate, blockAlign, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(size / blockAlign);
+
+  let readSample;
+  if (formatTag === WAVE_FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8:
+        readSample = (pos) => (view.getUint8(pos) - 128) / 128;
+        break;
+      case 16:
+        readSample = (pos) => view.getInt16(pos, true) / 32768;
+        break;
+      case 24:
+        readSample = (pos) => {
+          const value = view.getUint8(pos) | (view.getUint8(pos + 1) << 8) | (view.getInt8(pos + 2) << 16);
+          return value / 8388608;
+        };
+        break;
+      case 32:
+        readSample = (pos) => view.getInt32(pos, true) / 2147483648;
+        break;
+      default:
+        throw new Error(`Unsupported PCM bit depth: ${bitsPerSample}`);
+    }
+  } else if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+    if (bitsPerSample === 32) {
+      readSample = (pos) => view.getFloat32(pos, true);
+    } else if (bitsPerSample === 64) {
+      readSample = (pos) => view.getFloat64(pos, true);
+    } else {
+      throw new Error(`Unsupported float bit depth: ${bitsPerSample}`);
+    }
+  } else {
+    throw new Error(`Unsupported WAV format: 0x${formatTag.toString(16)}`);
+  }
+
+  const channelData = [];
+  for (let ch = 0; ch < numChannels; ch++) {
+    const samples = new Float32Array(frameCount);
+    let pos = start + ch * bytesPerSample;
+    for (let i = 0; i < frameCount; i++) {
+      samples[i] = readSample(pos);
+      pos += blockAlign;
+    }
+    channelData.push(samples);
+  }
+
+  return { sampleRate, channelData };
+}
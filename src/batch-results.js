@@ -0,0 +1,99 @@
+/**
+ * Batch Results
+ * Comparison table rows and combined exports for a batch of analyzed files
+ */
+
+// Table columns, in display order; `numeric` columns sort by value and are
+// formatted to one decimal place
+export const BATCH_COLUMNS = [
+  { key: 'file', label: 'File', numeric: false },
+  { key: 'status', label: 'Status', numeric: false },
+  { key: 'totalShots', label: 'Shots', numeric: true },
+  { key: 'totalBursts', label: 'Bursts', numeric: true },
+  { key: 'overallRateRpm', label: 'Overall RPM', numeric: true },
+  { key: 'medianBurstRateRpm', label: 'Median RPM', numeric: true },
+  { key: 'rateSpreadRpm', label: 'Spread (RPM)', numeric: true }
+];
+
+/**
+ * Summarize one batch entry as a table row
+ * @param {Object} entry - Batch entry {file, status, results, error}
+ * @returns {Object} Row keyed by BATCH_COLUMNS keys; numeric fields are null until analyzed
+ */
+export function batchRow(entry) {
+  const summary = entry.results?.summary;
+
+  return {
+    file: entry.file.name,
+    status: entry.error ? `error: ${entry.error}` : entry.status,
+    totalShots: summary ? summary.totalShots : null,
+    totalBursts: summary ? summary.totalBursts : null,
+    overallRateRpm: summary ? summary.overallRateRpm : null,
+    medianBurstRateRpm: summary ? summary.medianBurstRateRpm : null,
+    // Fastest minus slowest burst, so one odd burst stands out
+    rateSpreadRpm: summary ? summary.maxBurstRateRpm - summary.minBurstRateRpm : null
+  };
+}
+
+/**
+ * Sort rows by a column; rows without a value always go last
+ * @param {Array<Object>} rows - Rows from batchRow, each with its entry `index`
+ * @param {string} key - Column key
+ * @param {boolean} ascending - Sort direction
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortBatchRows(rows, key, ascending = true) {
+  const direction = ascending ? 1 : -1;
+
+  return [...rows].sort((a, b) => {
+    const x = a[key];
+    const y = b[key];
+    if (x === null || y === null) return (x === null) - (y === null);
+    if (typeof x === 'number') return (x - y) * direction;
+    return String(x).localeCompare(String(y), undefined, { numeric: true }) * direction;
+  });
+}
+
+/**
+ * Format a row value for the table
+ */
+export function formatBatchValue(column, value) {
+  if (value === null) return '–';
+  if (column.numeric && !Number.isInteger(value)) return value.toFixed(1);
+  return String(value);
+}
+
+/**
+ * Combined CSV of the table, one line per file
+ * @param {Array<Object>} rows - Rows from batchRow
+ * @returns {string} CSV text
+ */
+export function batchCSV(rows) {
+  const quote = (value) => {
+    const text = value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [BATCH_COLUMNS.map(c => quote(c.label)).join(',')];
+  for (const row of rows) {
+    lines.push(BATCH_COLUMNS.map(c => quote(row[c.key])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Combined JSON of every file's full results
+ * Each file keeps its own parameters and edits (inside `results.parameters`).
+ * @param {Array<Object>} entries - Batch entries
+ * @returns {Object} {files: [{inputFile, status, error?, ...results}]}
+ */
+export function batchJSON(entries) {
+  return {
+    files: entries.map(entry => ({
+      inputFile: entry.file.name,
+      status: entry.status,
+      ...(entry.error ? { error: entry.error } : {}),
+      ...entry.results
+    }))
+  };
+}
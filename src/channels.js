@@ -0,0 +1,83 @@
+/**
+ * Channel Selection
+ * Reduces multi-channel audio to the single signal the detector analyzes
+ *
+ * With two mics (or a camera mic plus a lav) one channel is often far
+ * cleaner, or clips less, than the others, so averaging them isn't always best.
+ */
+
+import { downmix } from './audio-sources.js';
+import { assessSignalQuality } from './signal-quality.js';
+
+// Channel modes accepted by selectChannel()
+export const CHANNEL_MODES = ['mid', 'left', 'right', 'side', 'auto'];
+
+const CLIP_LIMIT = 0.001; // fraction of clipped samples that disqualifies a channel in auto mode
+
+/**
+ * Candidate signals for a channel layout
+ * Mono audio only has 'mid'; left/right are the first two channels, mid the
+ * average of all channels and side half the difference of the first two.
+ */
+function channelCandidates(channelData) {
+  const candidates = { mid: () => downmix(channelData) };
+  if (channelData.length < 2) return candidates;
+
+  const [left, right] = channelData;
+  candidates.left = () => left;
+  candidates.right = () => right;
+  candidates.side = () => {
+    const side = new Float32Array(left.length);
+    for (let i = 0; i < left.length; i++) {
+      side[i] = 0.5 * (left[i] - right[i]);
+    }
+    return side;
+  };
+
+  return candidates;
+}
+
+/**
+ * Reduce channels to one signal
+ * 'auto' scores left, right and mid by estimated SNR (see assessSignalQuality)
+ * and picks the best one, skipping any that clip on more than CLIP_LIMIT of
+ * their samples unless all do.
+ * Modes that need two channels fall back to 'mid' on mono audio.
+ * @param {Array<Float32Array>} channelData - One array per channel
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {string} mode - One of CHANNEL_MODES
+ * @returns {Object} {samples, channel (the candidate used), candidates: {name: {snrDb, clippedPercent}}} (candidates only in auto mode)
+ */
+export function selectChannel(channelData, sampleRate, mode = 'mid') {
+  if (!CHANNEL_MODES.includes(mode)) {
+    throw new Error(`Unknown channel mode: ${mode}`);
+  }
+
+  const candidates = channelCandidates(channelData);
+
+  if (mode !== 'auto') {
+    const channel = candidates[mode] ? mode : 'mid';
+    return { samples: candidates[channel](), channel, candidates: {} };
+  }
+
+  const scored = {};
+  for (const name of ['left', 'right', 'mid']) {
+    if (!candidates[name]) continue;
+    const samples = candidates[name]();
+    scored[name] = { samples, quality: assessSignalQuality(samples, sampleRate) };
+  }
+
+  const names = Object.keys(scored);
+  const unclipped = names.filter(name => scored[name].quality.clippedFraction <= CLIP_LIMIT);
+  const pool = unclipped.length > 0 ? unclipped : names;
+  const channel = pool.reduce((a, b) => (scored[b].quality.snrDb > scored[a].quality.snrDb ? b : a));
+
+  return {
+    samples: scored[channel].samples,
+    channel,
+    candidates: Object.fromEntries(names.map(name => {
+      const { snrDb, clippedPercent } = scored[name].quality;
+      return [name, { snrDb, clippedPercent }];
+    }))
+  };
+}
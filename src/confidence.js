@@ -0,0 +1,128 @@
+/**
+ * Rate Confidence Intervals
+ * Bootstrap confidence intervals for burst rates and the shot-weighted
+ * overall rate
+ *
+ * A burst's rate is (shots - 1) / duration, and its uncertainty has two
+ * parts: the spread of its intervals, and how precisely each shot is placed
+ * in time. Both are resampled, so a 6-shot burst gets a much wider interval
+ * than a 60-shot one.
+ */
+
+import * as signal from './signal-processing.js';
+
+export const CONFIDENCE_LEVEL = 0.95;
+const REPLICATES = 2000;
+
+/**
+ * Small seeded PRNG (mulberry32), so the same shots always give the same interval
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function percentileInterval(replicates) {
+  const tail = (1 - CONFIDENCE_LEVEL) / 2;
+  return {
+    low: signal.quantile(replicates, tail),
+    high: signal.quantile(replicates, 1 - tail)
+  };
+}
+
+/**
+ * Standard deviation of a detected shot time
+ * A peak can sit anywhere within one sample, and anywhere across the
+ * envelope window that smears it, each uniformly: sigma = width / sqrt(12).
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} windowSize - Envelope window in seconds
+ * @returns {number} Timing standard deviation in seconds
+ */
+export function timingUncertainty(sampleRate, windowSize) {
+  return Math.sqrt((1 / sampleRate) ** 2 + windowSize ** 2) / Math.sqrt(12);
+}
+
+/**
+ * Bootstrap replicates of a burst's rate
+ * Each replicate resamples the burst's intervals with replacement and moves
+ * its first and last shots by the timing uncertainty (inner shots cancel out
+ * of the duration).
+ * @param {Array<number>} shotTimes - Shot times of the burst in seconds
+ * @param {number} timingSigma - Timing standard deviation in seconds (see timingUncertainty)
+ * @param {number} seed - PRNG seed
+ * @returns {Float64Array} Rate replicates in RPM (empty for fewer than two shots)
+ */
+export function burstRateReplicates(shotTimes, timingSigma, seed = 1) {
+  const intervals = signal.diff(shotTimes);
+  const n = intervals.length;
+  if (n === 0) return new Float64Array(0);
+
+  const random = createRandom(seed);
+  const replicates = new Float64Array(REPLICATES);
+  for (let r = 0; r < REPLICATES; r++) {
+    let duration = 0;
+    for (let i = 0; i < n; i++) {
+      duration += intervals[Math.floor(random() * n)];
+    }
+    duration += timingSigma * Math.SQRT2 * gaussian(random);
+    replicates[r] = duration > 0 ? (n / duration) * 60 : 0;
+  }
+
+  return replicates;
+}
+
+/**
+ * Confidence interval of a burst's rate from its replicates
+ * @param {Float64Array} replicates - From burstRateReplicates()
+ * @returns {Object|null} {low, high} in RPM, or null without replicates
+ */
+export function rateInterval(replicates) {
+  return replicates.length > 0 ? percentileInterval(replicates) : null;
+}
+
+/**
+ * Shot-weighted overall rate with its confidence interval
+ * The estimate is the mean of the burst rates weighted by shot count. Its
+ * interval comes from a two-stage bootstrap: bursts are resampled with
+ * replacement (variation between bursts), and each picked burst contributes
+ * one of its own replicates (variation within it).
+ * Bursts of a single shot have no rate and are left out.
+ * @param {Array<Object>} bursts - {rateRpm, numShots, replicates} per burst
+ * @param {number} seed - PRNG seed
+ * @returns {Object} {rateRpm, low, high} in RPM; all 0/null without a burst of two or more shots
+ */
+export function weightedRateInterval(bursts, seed = 1) {
+  const rated = bursts.filter(b => b.replicates.length > 0);
+  if (rated.length === 0) return { rateRpm: 0, low: null, high: null };
+
+  const totalShots = rated.reduce((sum, b) => sum + b.numShots, 0);
+  const rateRpm = rated.reduce((sum, b) => sum + b.rateRpm * b.numShots, 0) / totalShots;
+
+  const random = createRandom(seed);
+  const replicates = new Float64Array(REPLICATES);
+  for (let r = 0; r < REPLICATES; r++) {
+    let weighted = 0;
+    let shots = 0;
+    for (let i = 0; i < rated.length; i++) {
+      const burst = rated[Math.floor(random() * rated.length)];
+      weighted += burst.replicates[r] * burst.numShots;
+      shots += burst.numShots;
+    }
+    replicates[r] = weighted / shots;
+  }
+
+  return { rateRpm, ...percentileInterval(replicates) };
+}
@@ -0,0 +1,106 @@
+/**
+ * Cyclic Rate Estimation
+ * Estimates the dominant firing rate directly from the envelope's
+ * autocorrelation, without detecting individual shots first.
+ */
+
+import { fft, nextPow2 } from './signal-processing.js';
+import { movingAverage } from './filters.js';
+
+/**
+ * Estimate the dominant cyclic rate of an envelope
+ * The envelope is block-averaged down to `analysisRate`, reduced to its
+ * attacks, detrended and autocorrelated via FFT. The strongest autocorrelation
+ * peak between the periods of `maxRpm` and `minRpm` is taken, preferring the
+ * shortest lag whose peak comes within `harmonicTolerance` of it, so a
+ * multiple of the true period (every second shot lining up) isn't reported
+ * as a slower rate.
+ *
+ * @param {Float32Array} envelope - Amplitude envelope
+ * @param {number} sampleRate - Envelope sample rate in Hz
+ * @param {Object} options - Estimation options
+ * @param {number} options.minRpm - Slowest rate considered (default: 300)
+ * @param {number} options.maxRpm - Fastest rate considered (default: 1500)
+ * @param {number} options.analysisRate - Decimated rate in Hz (default: 2000)
+ * @param {number} options.harmonicTolerance - Fraction of the best peak a shorter lag must reach (default: 0.8)
+ * @returns {Object|null} {rateRpm, period (s), confidence (normalized autocorrelation, 0-1)}, or null if no periodicity was found
+ */
+export function estimateCyclicRate(envelope, sampleRate, options = {}) {
+  const {
+    minRpm = 300,
+    maxRpm = 1500,
+    analysisRate = 2000,
+    harmonicTolerance = 0.8
+  } = options;
+
+  const factor = Math.max(Math.floor(sampleRate / analysisRate), 1);
+  const rate = sampleRate / factor;
+  const n = Math.floor(envelope.length / factor);
+
+  const minLag = Math.max(Math.floor((60 / maxRpm) * rate), 1);
+  const maxLag = Math.ceil((60 / minRpm) * rate);
+  if (n <= maxLag + 1) return null;
+
+  // Block average down to the analysis rate
+  const fftSize = nextPow2(2 * n);
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  for (let i = 0; i < n; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) {
+      sum += envelope[i * factor + j];
+    }
+    re[i] = sum / factor;
+  }
+
+  // Keep only the attacks (half-wave rectified first difference), then
+  // subtract a moving average one slowest period long so neither silence nor
+  // the slow swell of a long burst correlates with itself
+  for (let i = n - 1; i > 0; i--) {
+    re[i] = Math.max(re[i] - re[i - 1], 0);
+  }
+  re[0] = 0;
+  const trend = movingAverage(re.subarray(0, n), maxLag);
+  for (let i = 0; i < n; i++) {
+    re[i] -= trend[i];
+  }
+
+  // Wiener-Khinchin: autocorrelation is the inverse FFT of the power spectrum
+  fft(re, im);
+  for (let k = 0; k < fftSize; k++) {
+    re[k] = re[k] * re[k] + im[k] * im[k];
+    im[k] = 0;
+  }
+  fft(re, im, true);
+
+  const energy = re[0];
+  if (!(energy > 0)) return null;
+
+  const acf = (lag) => re[lag] / energy;
+
+  const candidates = [];
+  for (let lag = minLag; lag <= Math.min(maxLag, n - 2); lag++) {
+    const value = acf(lag);
+    if (value > 0 && value >= acf(lag - 1) && value > acf(lag + 1)) {
+      candidates.push({ lag, value });
+    }
+  }
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => (b.value > a.value ? b : a));
+  const chosen = candidates.find(c => c.value >= harmonicTolerance * best.value);
+
+  // Parabolic interpolation around the chosen lag
+  const left = acf(chosen.lag - 1);
+  const right = acf(chosen.lag + 1);
+  const curvature = left - 2 * chosen.value + right;
+  const offset = curvature < 0 ? (0.5 * (left - right)) / curvature : 0;
+
+  const period = (chosen.lag + offset) / rate;
+
+  return {
+    rateRpm: 60 / period,
+    period,
+    confidence: Math.min(chosen.value, 1)
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * Envelope Filters
+ * Linear-time smoothing and envelope followers for transient detection
+ */
+
+import { abs, fft, nextPow2 } from './signal-processing.js';
+
+/**
+ * Envelope methods selectable on RateOfFireDetector (`envelopeMethod`)
+ */
+export const ENVELOPE_METHODS = ['box', 'hilbert', 'rms', 'peak-hold'];
+
+/**
+ * Compute an amplitude envelope
+ * @param {Float32Array} data - Audio samples
+ * @param {string} method - One of ENVELOPE_METHODS
+ * @param {number} windowSamples - Smoothing window (box, hilbert, rms) or decay time constant (peak-hold), in samples
+ * @returns {Float32Array} Envelope, same length as data
+ */
+export function envelope(data, method = 'box', windowSamples = 1) {
+  switch (method) {
+    case 'box':
+      return movingAverage(abs(data), windowSamples);
+    case 'hilbert':
+      return movingAverage(analyticEnvelope(data), windowSamples);
+    case 'rms':
+      return rmsEnvelope(data, windowSamples);
+    case 'peak-hold':
+      return peakHoldEnvelope(data, windowSamples);
+    default:
+      throw new Error(`Unknown envelope method: ${method}`);
+  }
+}
+
+/**
+ * Moving average (box filter) using a running sum
+ * Equivalent to convolve(data, ones(n) / n, 'same') in O(N) regardless of window length
+ * @param {Float32Array|Array} data - Input signal
+ * @param {number} windowSamples - Window length in samples
+ * @returns {Float32Array} Smoothed signal
+ */
+export function movingAverage(data, windowSamples) {
+  const n = data.length;
+  const window = Math.max(Math.floor(windowSamples), 1);
+  const result = new Float32Array(n);
+
+  if (window === 1) {
+    result.set(data);
+    return result;
+  }
+
+  // Output i averages data[i - before .. i + after], zero-padded at the edges
+  const before = window >> 1;
+  const after = window - before - 1;
+
+  // Accumulate in double precision so long signals don't drift
+  let sum = 0;
+  for (let i = 0; i < Math.min(after, n); i++) {
+    sum += data[i];
+  }
+
+  for (let i = 0; i < n; i++) {
+    const entering = i + after;
+    const leaving = i - before - 1;
+    if (entering < n) sum += data[entering];
+    if (leaving >= 0) sum -= data[leaving];
+    result[i] = sum / window;
+  }
+
+  return result;
+}
+
+/**
+ * Root-mean-square envelope over a centered window
+ * @param {Float32Array|Array} data - Input signal
+ * @param {number} windowSamples - Window length in samples
+ * @returns {Float32Array} RMS envelope
+ */
+export function rmsEnvelope(data, windowSamples) {
+  const squared = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    squared[i] = data[i] * data[i];
+  }
+
+  const meanSquare = movingAverage(squared, windowSamples);
+  for (let i = 0; i < meanSquare.length; i++) {
+    // Running sums can dip fractionally below zero
+    meanSquare[i] = Math.sqrt(Math.max(meanSquare[i], 0));
+  }
+
+  return meanSquare;
+}
+
+/**
+ * Peak-hold envelope follower with exponential decay
+ * Rises instantly to each new peak and decays with time constant `decaySamples`
+ * @param {Float32Array|Array} data - Input signal
+ * @param {number} decaySamples - Decay time constant in samples
+ * @returns {Float32Array} Envelope
+ */
+export function peakHoldEnvelope(data, decaySamples) {
+  const result = new Float32Array(data.length);
+  const decay = Math.exp(-1 / Math.max(decaySamples, 1));
+
+  let level = 0;
+  for (let i = 0; i < data.length; i++) {
+    level = Math.max(Math.abs(data[i]), level * decay);
+    result[i] = level;
+  }
+
+  return result;
+}
+
+/**
+ * Magnitude of the analytic signal (Hilbert transform envelope)
+ * Long signals are processed in overlapping blocks so memory stays bounded;
+ * the margins absorb the Hilbert kernel's 1/n tails at the block edges.
+ * @param {Float32Array|Array} data - Input signal
+ * @param {Object} options - Block options
+ * @param {number} options.blockSize - Samples kept per block (default: 65536)
+ * @param {number} options.margin - Extra samples transformed on each side of a block (default: 4096)
+ * @returns {Float32Array} Instantaneous amplitude
+ */
+export function analyticEnvelope(data, options = {}) {
+  const { blockSize = 65536, margin = 4096 } = options;
+  const n = data.length;
+  const result = new Float32Array(n);
+
+  // Short signals fit in a single transform
+  const single = n <= blockSize + 2 * margin;
+  const fftSize = nextPow2(single ? n : blockSize + 2 * margin);
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+
+  for (let blockStart = 0; blockStart < n; blockStart += single ? n : blockSize) {
+    const blockEnd = single ? n : Math.min(blockStart + blockSize, n);
+    const segmentStart = single ? 0 : Math.max(blockStart - margin, 0);
+    const segmentEnd = single ? n : Math.min(blockEnd + margin, n);
+
+    re.fill(0);
+    im.fill(0);
+    for (let i = segmentStart; i < segmentEnd; i++) {
+      re[i - segmentStart] = data[i];
+    }
+
+    // Zero negative frequencies and double positive ones, as scipy.signal.hilbert
+    fft(re, im);
+    const half = fftSize >> 1;
+    for (let k = 1; k < half; k++) {
+      re[k] *= 2;
+      im[k] *= 2;
+    }
+    for (let k = half + 1; k < fftSize; k++) {
+      re[k] = 0;
+      im[k] = 0;
+    }
+    fft(re, im, true);
+
+    for (let i = blockStart; i < blockEnd; i++) {
+      const k = i - segmentStart;
+      result[i] = Math.hypot(re[k], im[k]);
+    }
+  }
+
+  return result;
+}
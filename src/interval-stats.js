@@ -0,0 +1,95 @@
+/**
+ * Interval Statistics
+ * Distribution of inter-shot intervals across bursts: percentiles, spread,
+ * outliers, a histogram and the instantaneous rate of every shot
+ */
+
+import * as signal from './signal-processing.js';
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+const OUTLIER_IQR_FACTOR = 1.5; // Tukey's fences
+const MAX_HISTOGRAM_BINS = 50;
+
+/**
+ * Histogram bin edges and counts
+ * The bin width follows the Freedman-Diaconis rule (2 IQR / n^(1/3)), with
+ * at most MAX_HISTOGRAM_BINS bins.
+ */
+function histogram(values, iqr) {
+  const lo = signal.min(values);
+  const hi = signal.max(values);
+  const span = hi - lo;
+
+  let binCount = 1;
+  if (span > 0) {
+    const width = (2 * iqr) / Math.cbrt(values.length);
+    binCount = width > 0 ? Math.ceil(span / width) : Math.ceil(Math.log2(values.length) + 1);
+    binCount = Math.min(Math.max(binCount, 1), MAX_HISTOGRAM_BINS);
+  }
+
+  const binWidth = span > 0 ? span / binCount : Math.max(lo * 0.01, 1e-4);
+  const start = span > 0 ? lo : lo - binWidth / 2;
+  const counts = new Array(binCount).fill(0);
+  for (const value of values) {
+    counts[Math.min(Math.floor((value - start) / binWidth), binCount - 1)]++;
+  }
+
+  return { start, binWidth, counts };
+}
+
+/**
+ * Analyze the inter-shot intervals of a set of bursts
+ * Bursts excluded from the summary are left out. An interval is an outlier
+ * when it falls outside Tukey's fences (1.5 IQR beyond the quartiles) of
+ * all intervals, which flags missed shots, doubles and stoppages.
+ * @param {Array<Object>} bursts - Burst results from calculateRates()
+ * @returns {Object|null} {count, mean, std, cv, min, max, percentiles: {p5, p25, p50, p75, p95}, fences: {low, high}, outliers, histogram: {start, binWidth, counts}, shots: [{burstNumber, shotNumber, time, interval, rpm, outlier}]} in seconds and RPM, or null without any intervals
+ */
+export function analyzeIntervals(bursts) {
+  // One entry per interval, labeled by the shot that closes it
+  const shots = [];
+  for (const burst of bursts.filter(b => !b.excluded)) {
+    for (let j = 1; j < burst.shotTimes.length; j++) {
+      const interval = burst.shotTimes[j] - burst.shotTimes[j - 1];
+      shots.push({
+        burstNumber: burst.burstNumber,
+        shotNumber: j + 1,
+        time: burst.shotTimes[j],
+        interval,
+        rpm: interval > 0 ? 60 / interval : 0,
+        outlier: false
+      });
+    }
+  }
+
+  if (shots.length === 0) return null;
+
+  const intervals = shots.map(s => s.interval);
+  const percentiles = Object.fromEntries(PERCENTILES.map(p => [`p${p}`, signal.quantile(intervals, p / 100)]));
+  const iqr = percentiles.p75 - percentiles.p25;
+  const fences = {
+    low: percentiles.p25 - OUTLIER_IQR_FACTOR * iqr,
+    high: percentiles.p75 + OUTLIER_IQR_FACTOR * iqr
+  };
+
+  for (const shot of shots) {
+    shot.outlier = shot.interval < fences.low || shot.interval > fences.high;
+  }
+
+  const mean = signal.mean(intervals);
+  const std = signal.std(intervals);
+
+  return {
+    count: intervals.length,
+    mean,
+    std,
+    cv: mean > 0 ? std / mean : 0,
+    min: signal.min(intervals),
+    max: signal.max(intervals),
+    percentiles,
+    fences,
+    outliers: shots.filter(s => s.outlier).length,
+    histogram: histogram(intervals, iqr),
+    shots
+  };
+}
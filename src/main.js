@@ -1,7 +1,10 @@
 import { FFmpeg } from '@ffmpeg/ffmpeg';
 import { toBlobURL } from '@ffmpeg/util';
-import { RateOfFireDetector } from './rof-detector.js';
+import { extractWithFFmpeg, decodeWithWebAudio } from './audio-sources.js';
+import { DetectorWorker, AnalysisCancelledError } from './rof-worker-client.js';
 import { ROFVisualizer } from './visualizer.js';
+import { ClickTrackPreview } from './audio-preview.js';
+import { BATCH_COLUMNS, batchRow, sortBatchRows, formatBatchValue, batchCSV, batchJSON } from './batch-results.js';
 import coreURL from '@ffmpeg/core?url';
 import wasmURL from '@ffmpeg/core/wasm?url';
 
@@ -19,8 +22,39 @@ const rofResults = document.getElementById('rofResults');
 const rofSummary = document.getElementById('rofSummary');
 const rofBursts = document.getElementById('rofBursts');
 const rofPlot = document.getElementById('rofPlot');
+const intervalAnalysis = document.getElementById('intervalAnalysis');
+const intervalStats = document.getElementById('intervalStats');
+const intervalPlot = document.getElementById('intervalPlot');
 const downloadJsonBtn = document.getElementById('downloadJson');
 const downloadPngBtn = document.getElementById('downloadPng');
+const loadJsonBtn = document.getElementById('loadJson');
+const loadJsonInput = document.getElementById('loadJsonInput');
+const autoTuneBtn = document.getElementById('autoTune');
+const autoTuneExplanation = document.getElementById('autoTuneExplanation');
+const mediaPlayerContainer = document.getElementById('mediaPlayerContainer');
+const mediaPlayer = document.getElementById('mediaPlayer');
+const playbackRateInput = document.getElementById('playbackRate');
+const editShotsInput = document.getElementById('editShots');
+const clearShotEditsBtn = document.getElementById('clearShotEdits');
+const batchResults = document.getElementById('batchResults');
+const batchHead = document.getElementById('batchHead');
+const batchBody = document.getElementById('batchBody');
+const batchStatus = document.getElementById('batchStatus');
+const rerunBatchBtn = document.getElementById('rerunBatch');
+const downloadBatchJsonBtn = document.getElementById('downloadBatchJson');
+const downloadBatchCsvBtn = document.getElementById('downloadBatchCsv');
+const trimStartInput = document.getElementById('trimStart');
+const trimEndInput = document.getElementById('trimEnd');
+const trimToViewBtn = document.getElementById('trimToView');
+const clearTrimBtn = document.getElementById('clearTrim');
+const previewRangeBtn = document.getElementById('previewRange');
+const stopPreviewBtn = document.getElementById('stopPreview');
+const previewClicksOnlyInput = document.getElementById('previewClicksOnly');
+const previewBurstsOnlyInput = document.getElementById('previewBurstsOnly');
+const showSpectrogramInput = document.getElementById('showSpectrogram');
+const spectrogramFftSizeInput = document.getElementById('spectrogramFftSize');
+const spectrogramHopInput = document.getElementById('spectrogramHop');
+const spectrogramDbRangeInput = document.getElementById('spectrogramDbRange');
 
 // Parameter inputs
 const peakThresholdInput = document.getElementById('peakThreshold');
@@ -29,13 +63,45 @@ const burstGapThresholdInput = document.getElementById('burstGapThreshold');
 const windowSizeInput = document.getElementById('windowSize');
 const minPeakProminenceInput = document.getElementById('minPeakProminence');
 const minBurstCountInput = document.getElementById('minBurstCount');
+const repairBurstsInput = document.getElementById('repairBursts');
+const envelopeMethodInput = document.getElementById('envelopeMethod');
+const detectionMethodInput = document.getElementById('detectionMethod');
+const onsetThresholdInput = document.getElementById('onsetThreshold');
+const shotTimeReferenceInput = document.getElementById('shotTimeReference');
+const peakInterpolationInput = document.getElementById('peakInterpolation');
+const thresholdModeInput = document.getElementById('thresholdMode');
+const thresholdWindowInput = document.getElementById('thresholdWindow');
+const highpassCutoffInput = document.getElementById('highpassCutoff');
+const bandpassLowInput = document.getElementById('bandpassLow');
+const bandpassHighInput = document.getElementById('bandpassHigh');
+const notchFrequencyInput = document.getElementById('notchFrequency');
+const channelModeInput = document.getElementById('channelMode');
+const channelVotingInput = document.getElementById('channelVoting');
 
 let ffmpeg = null;
 let ffmpegLoadPromise = null;
+let ffmpegTask = Promise.resolve();
+const detectorWorker = new DetectorWorker();
+const shotPreview = new ClickTrackPreview();
+// Batch runs use their own worker so opening a file doesn't cancel them
+const batchWorker = new DetectorWorker();
+let analysisRun = 0;
 let currentResults = null;
 let visualizer = null;
 let currentFile = null;
+let currentAudio = null; // Decoded PCM for currentFile: { file, sampleRate, channelData }
+let currentAnalysis = null; // Signals of the last analysis of currentFile, as passed to the visualizer
 let reanalysisTimeout = null;
+let mediaURL = null; // Object URL of currentFile for the media player
+let playheadFrame = null;
+let shotEdits = { added: [], removed: [] }; // Manual shot corrections for currentFile, in seconds
+let burstEdits = emptyBurstEdits(); // Manual burst boundaries for currentFile (see RateOfFireDetector)
+let batch = []; // Batch entries: { file, status, results, error, shotEdits, burstEdits, trimRange }
+let batchRun = 0;
+let batchSort = { key: 'file', ascending: true };
+let spectrogramCache = null; // { audioData, key, spectrogram } for the last analyzed channel and options
+
+const PREVIEW_MARGIN = 0.25; // seconds of audio around a burst when previewing it
 
 async function loadFFmpeg() {
   if (ffmpeg?.loaded) return;
@@ -60,25 +126,83 @@ async function loadFFmpeg() {
   return ffmpegLoadPromise;
 }
 
+/**
+ * Run a task against the shared FFmpeg instance once earlier tasks finish,
+ * since they all share the same virtual file names
+ */
+function withFFmpeg(task) {
+  const result = ffmpegTask.then(task);
+  ffmpegTask = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Decode all channels of a media file, with FFmpeg seeking straight to a range
+ * If FFmpeg fails to load or to read the file, the browser's own decoder is
+ * tried instead (native formats only, resampled to its output rate) and the
+ * range is sliced out afterwards; when that fails too, FFmpeg's error is thrown.
+ * @param {File} file - Media file
+ * @param {Object} options - { start, end } in seconds (end null for the end of the file), isStale() to cancel, onProgress
+ * @returns {Promise<Object>} {sampleRate, channelData}
+ */
+async function decodeMedia(file, { start = 0, end = null, isStale = () => false, onProgress = null } = {}) {
+  try {
+    if (!ffmpeg?.loaded && onProgress) onProgress('Loading FFmpeg...');
+    await loadFFmpeg();
+
+    return await withFFmpeg(() => {
+      if (isStale()) throw new AnalysisCancelledError();
+      return extractWithFFmpeg(file, ffmpeg, { channels: null, start, end, onProgress });
+    });
+  } catch (err) {
+    if (err instanceof AnalysisCancelledError) throw err;
+    console.warn(`FFmpeg could not decode ${file.name}, trying Web Audio:`, err);
+
+    if (onProgress) onProgress('Decoding audio...');
+    let audio;
+    try {
+      audio = await decodeWithWebAudio(await file.arrayBuffer());
+    } catch {
+      throw err;
+    }
+    if (isStale()) throw new AnalysisCancelledError();
+
+    const { sampleRate, channelData } = sliceAudio(audio, { start, end });
+    return { sampleRate, channelData };
+  }
+}
+
 // Start loading FFmpeg immediately on page load
 loadFFmpeg().catch(err => {
   console.error('Failed to preload FFmpeg:', err);
 });
 
-async function handleFile(file) {
+/**
+ * Open one file in the detail view
+ * @param {File} file - Media file
+ * @param {Object} edits - Shot/burst edits and trim range to restore (batch entries keep their own)
+ */
+async function handleFile(file, edits = null) {
   if (!file) return;
 
   currentFile = file;
+  shotPreview.stop();
+  loadMedia(file);
+  shotEdits = edits?.shotEdits ?? { added: [], removed: [] };
+  burstEdits = edits?.burstEdits ?? emptyBurstEdits();
+  setTrimRange(edits?.trimRange ?? { start: 0, end: null });
+  updateClearEditsButton();
+  renderBatchTable();
+  autoTuneBtn.disabled = true;
+  autoTuneExplanation.classList.remove('active');
 
-  try {
-    // Show loading spinner if FFmpeg isn't ready yet
-    if (!ffmpeg?.loaded) {
-      loadingText.textContent = 'Loading FFmpeg...';
-      loading.classList.add('active');
-    }
-
-    await loadFFmpeg();
+  // A new file supersedes any pending reanalysis of the old one
+  if (reanalysisTimeout) {
+    clearTimeout(reanalysisTimeout);
+    reanalysisTimeout = null;
+  }
 
+  try {
     loadingText.textContent = 'Analyzing file...';
     loading.classList.add('active');
     rofResults.classList.remove('active');
@@ -87,56 +211,269 @@ async function handleFile(file) {
     await analyzeRateOfFire(file);
     loading.classList.remove('active');
     rofResults.classList.add('active');
+    autoTuneBtn.disabled = false;
   } catch (err) {
+    // A newer run owns the spinner and results now
+    if (err instanceof AnalysisCancelledError) return;
+
     showError('Error analyzing file: ' + err.message);
     loading.classList.remove('active');
   }
 }
 
-async function analyzeRateOfFire(file) {
-  try {
-    // Get parameters from UI
-    const params = {
-      peakThresholdStd: parseFloat(peakThresholdInput.value),
-      minShotSpacing: parseFloat(minShotSpacingInput.value),
-      burstGapThreshold: parseFloat(burstGapThresholdInput.value),
-      windowSize: parseFloat(windowSizeInput.value),
-      minPeakProminence: parseFloat(minPeakProminenceInput.value),
-      minBurstCount: parseInt(minBurstCountInput.value)
-    };
+/**
+ * Parameter inputs by detector option name, for restoring exported results
+ */
+function parameterFields() {
+  return {
+    peakThresholdStd: peakThresholdInput,
+    thresholdMode: thresholdModeInput,
+    thresholdWindow: thresholdWindowInput,
+    minShotSpacing: minShotSpacingInput,
+    burstGapThreshold: burstGapThresholdInput,
+    windowSize: windowSizeInput,
+    minPeakProminence: minPeakProminenceInput,
+    minBurstCount: minBurstCountInput,
+    repairBursts: repairBurstsInput,
+    envelopeMethod: envelopeMethodInput,
+    detectionMethod: detectionMethodInput,
+    onsetThreshold: onsetThresholdInput,
+    shotTimeReference: shotTimeReferenceInput,
+    peakInterpolation: peakInterpolationInput,
+    highpassCutoff: highpassCutoffInput,
+    bandpassLow: bandpassLowInput,
+    bandpassHigh: bandpassHighInput,
+    notchFrequency: notchFrequencyInput,
+    channelMode: channelModeInput,
+    channelVoting: channelVotingInput
+  };
+}
+
+/**
+ * Read detector options from the parameter inputs
+ */
+function readParameters() {
+  return {
+    peakThresholdStd: parseFloat(peakThresholdInput.value),
+    thresholdMode: thresholdModeInput.value,
+    thresholdWindow: parseFloat(thresholdWindowInput.value),
+    minShotSpacing: parseFloat(minShotSpacingInput.value),
+    burstGapThreshold: parseFloat(burstGapThresholdInput.value),
+    windowSize: parseFloat(windowSizeInput.value),
+    minPeakProminence: parseFloat(minPeakProminenceInput.value),
+    minBurstCount: parseInt(minBurstCountInput.value),
+    repairBursts: repairBurstsInput.checked,
+    envelopeMethod: envelopeMethodInput.value,
+    detectionMethod: detectionMethodInput.value,
+    onsetThreshold: parseFloat(onsetThresholdInput.value),
+    shotTimeReference: shotTimeReferenceInput.value,
+    peakInterpolation: peakInterpolationInput.value,
+    highpassCutoff: parseFloat(highpassCutoffInput.value) || 0,
+    bandpassLow: parseFloat(bandpassLowInput.value) || 0,
+    bandpassHigh: parseFloat(bandpassHighInput.value) || 0,
+    notchFrequency: parseFloat(notchFrequencyInput.value) || 0,
+    channelMode: channelModeInput.value,
+    channelVoting: channelVotingInput.checked,
+    shotEdits,
+    burstEdits
+  };
+}
 
-    // Create detector
-    const detector = new RateOfFireDetector(params);
+/**
+ * Read the analysis time range; an empty end means the end of the file
+ * @param {number} duration - Length of the file in seconds to check the start against
+ * @returns {Object} { start, end } in seconds
+ * @throws {Error} If the range ends before it starts or starts after the end of the file
+ */
+function readTrimRange(duration) {
+  const start = Math.max(parseFloat(trimStartInput.value) || 0, 0);
+  const end = trimEndInput.value === '' ? null : parseFloat(trimEndInput.value);
 
-    // Run analysis with progress updates
-    const onProgress = (message) => {
-      loadingText.textContent = message;
+  if (end !== null && !(end > start)) {
+    throw new Error(`The analysis range must end after it starts (${start}s to ${end}s)`);
+  }
+  if (!(start < duration)) {
+    throw new Error(`The analysis range starts at ${start}s, after the end of the file (${duration.toFixed(2)}s)`);
+  }
+
+  return { start, end };
+}
+
+/**
+ * Length of decoded audio in seconds
+ */
+function audioDuration(audio) {
+  return audio.channelData[0].length / audio.sampleRate;
+}
+
+function setTrimRange({ start, end }) {
+  trimStartInput.value = start > 0 ? start.toFixed(3) : '';
+  trimEndInput.value = end === null ? '' : end.toFixed(3);
+}
+
+/**
+ * The part of decoded audio inside a time range, with the time of its first sample
+ * The slice is cached on the audio object so an unchanged range keeps the
+ * same channels, which the worker recognizes and doesn't reload.
+ * @param {Object} audio - { sampleRate, channelData }
+ * @param {Object} range - { start, end } in seconds (end null for the end of the file)
+ * @returns {Object} { sampleRate, channelData, timeOffset }
+ */
+function sliceAudio(audio, range) {
+  const { sampleRate, channelData } = audio;
+  const length = channelData[0].length;
+  const toSample = (time) => Math.min(Math.max(Math.round(time * sampleRate), 0), length);
+  const first = toSample(range.start);
+  const last = range.end === null ? length : Math.max(toSample(range.end), first);
+
+  if (first === 0 && last === length) {
+    return { sampleRate, channelData, timeOffset: 0 };
+  }
+
+  if (audio.slice?.first !== first || audio.slice.last !== last) {
+    audio.slice = {
+      first,
+      last,
+      sampleRate,
+      channelData: channelData.map(channel => channel.slice(first, last)),
+      timeOffset: first / sampleRate
     };
+  }
+  return audio.slice;
+}
+
+async function analyzeRateOfFire(file) {
+  // Claim this run and abort whatever is still computing for an older one
+  const run = ++analysisRun;
+  detectorWorker.cancel();
 
-    currentResults = await detector.analyze(file, ffmpeg, onProgress);
+  const throwIfStale = () => {
+    if (run !== analysisRun) throw new AnalysisCancelledError();
+  };
 
-    // Display results
-    displayROFResults(detector, currentResults);
+  const params = readParameters();
 
-    // Create visualization
-    if (!visualizer) {
-      visualizer = new ROFVisualizer(rofPlot);
-    }
-    await visualizer.render(detector, currentResults);
+  // Run analysis with progress updates
+  const onProgress = (message) => {
+    if (run === analysisRun) loadingText.textContent = message;
+  };
 
-    // Force resize to ensure plot fills container width
-    setTimeout(() => visualizer.resize(), 0);
+  // Only decode when the file changes; parameter tweaks reuse the decoded audio
+  if (currentAudio?.file !== file) {
+    const { sampleRate, channelData } = await decodeMedia(file, {
+      isStale: () => run !== analysisRun,
+      onProgress
+    });
+    throwIfStale();
 
-  } catch (err) {
-    throw err;
+    // All channels go to the detector, which picks one by channelMode
+    currentAudio = { file, sampleRate, channelData };
   }
+
+  const trimRange = readTrimRange(audioDuration(currentAudio));
+  const { sampleRate, channelData, timeOffset } = sliceAudio(currentAudio, trimRange);
+  const { results, signals, bursts } = await detectorWorker.analyze(channelData, sampleRate, { ...params, timeOffset }, onProgress);
+  throwIfStale();
+
+  currentResults = {
+    inputFile: file.name,
+    ...results
+  };
+
+  // Keep the batch row of this file in step with edits and parameter changes
+  const entry = batch.find(e => e.file === file);
+  if (entry) {
+    Object.assign(entry, { status: 'done', results: currentResults, error: null, shotEdits, burstEdits, trimRange });
+    renderBatchTable();
+  }
+
+  // Signals the visualizer plots alongside the results
+  const analysis = {
+    sampleRate,
+    audioData: signals.audioData,
+    filteredAudio: signals.filteredAudio,
+    envelope: signals.envelope,
+    thresholdCurve: signals.thresholdCurve,
+    bursts
+  };
+
+  if (showSpectrogramInput.checked) {
+    analysis.spectrogram = await spectrogramFor(signals.audioData, channelData, sampleRate, { ...params, timeOffset }, onProgress);
+    throwIfStale();
+  }
+
+  currentAnalysis = analysis;
+
+  // Display results
+  displayROFResults(analysis, currentResults);
+
+  // Create visualization
+  if (!visualizer) {
+    visualizer = new ROFVisualizer(rofPlot);
+    visualizer.editMode = editShotsInput.checked;
+    visualizer.onShotEdit = applyShotEdit;
+    visualizer.onBurstEdit = applyBurstEdit;
+    visualizer.onSeek = seekMedia;
+  }
+  await visualizer.render(analysis, currentResults);
+
+  intervalAnalysis.classList.toggle('active', currentResults.intervals !== null);
+  if (currentResults.intervals) {
+    await visualizer.renderIntervals(intervalPlot, currentResults);
+  }
+
+  // Force resize to ensure plot fills container width
+  setTimeout(() => visualizer.resize(), 0);
+}
+
+function readSpectrogramOptions() {
+  const fftSize = parseInt(spectrogramFftSizeInput.value);
+  const hopSize = parseInt(spectrogramHopInput.value);
+  const dbRange = parseFloat(spectrogramDbRangeInput.value);
+
+  return {
+    fftSize,
+    hopSize: hopSize > 0 ? Math.min(hopSize, fftSize) : fftSize / 4,
+    dbRange: dbRange > 0 ? dbRange : 80
+  };
 }
 
-function displayROFResults(detector, results) {
+/**
+ * Spectrogram of the analyzed channel, reused while the channel and options stay the same
+ * audioData is the worker's channel signal, which only changes when the channel stage re-runs.
+ */
+async function spectrogramFor(audioData, channelData, sampleRate, params, onProgress) {
+  const options = readSpectrogramOptions();
+  const key = JSON.stringify(options);
+  if (spectrogramCache?.audioData === audioData && spectrogramCache.key === key) {
+    return spectrogramCache.spectrogram;
+  }
+
+  const spectrogram = await detectorWorker.spectrogram(channelData, sampleRate, params, options, onProgress);
+  spectrogramCache = { audioData, key, spectrogram };
+  return spectrogram;
+}
+
+/**
+ * Confidence interval suffix for a rate, e.g. " (95% CI 780.8 - 808.5)"
+ */
+function formatRateCi(low, high, level) {
+  if (low === null || high === null) return '';
+  return ` <small>(${Math.round(level * 100)}% CI ${low.toFixed(1)} - ${high.toFixed(1)})</small>`;
+}
+
+function displayROFResults(analysis, results) {
   // Display summary
   const summary = results.summary;
+  const quality = results.signalQuality;
   rofSummary.innerHTML = `
     <h2>Summary</h2>
+    ${quality?.warnings.length > 0 ? `
+      <div class="quality-warnings">
+        <strong>Results may be unreliable:</strong>
+        <ul>${quality.warnings.map(warning => `<li>${warning}</li>`).join('')}</ul>
+      </div>
+    ` : ''}
     <div class="summary-grid">
       <div class="summary-item">
         <span class="summary-label">Total Shots:</span>
@@ -155,10 +492,20 @@ function displayROFResults(detector, results) {
           <span class="summary-label">Mean Burst Rate:</span>
           <span class="summary-value">${summary.meanBurstRateRpm.toFixed(1)} RPM</span>
         </div>
+        <div class="summary-item">
+          <span class="summary-label">Shot-Weighted Rate:</span>
+          <span class="summary-value">${summary.weightedRateRpm.toFixed(1)} RPM${formatRateCi(summary.weightedRateCiLowRpm, summary.weightedRateCiHighRpm, summary.confidenceLevel)}</span>
+        </div>
         <div class="summary-item">
           <span class="summary-label">Median Burst Rate:</span>
           <span class="summary-value">${summary.medianBurstRateRpm.toFixed(1)} RPM</span>
         </div>
+        ${summary.inferredShots > 0 || summary.removedShots > 0 ? `
+          <div class="summary-item">
+            <span class="summary-label">Raw Median Burst Rate:</span>
+            <span class="summary-value">${summary.rawMedianBurstRateRpm.toFixed(1)} RPM</span>
+          </div>
+        ` : ''}
         <div class="summary-item">
           <span class="summary-label">Rate Range:</span>
           <span class="summary-value">${summary.minBurstRateRpm.toFixed(1)} - ${summary.maxBurstRateRpm.toFixed(1)} RPM</span>
@@ -169,34 +516,96 @@ function displayROFResults(detector, results) {
       <p><strong>File:</strong> ${results.inputFile}</p>
       <p><strong>Duration:</strong> ${results.audioDuration.toFixed(2)} seconds</p>
       <p><strong>Sample Rate:</strong> ${results.sampleRate} Hz</p>
+      ${results.channel?.channels > 1 ? `
+        <p><strong>Channel:</strong> ${results.channel.channel} of ${results.channel.channels} (${results.channel.mode})${results.channel.votedOutPeaks > 0 ? `, ${results.channel.votedOutPeaks} peaks rejected by channel voting` : ''}</p>
+      ` : ''}
+      ${quality ? `
+        <p><strong>Signal Quality:</strong> ${quality.clippedPercent.toFixed(2)}% clipped, noise floor ${quality.noiseFloorDb.toFixed(1)} dBFS, SNR ${quality.snrDb.toFixed(1)} dB, dynamic range ${quality.dynamicRangeDb.toFixed(1)} dB</p>
+      ` : ''}
     </div>
   `;
 
+  // Interval distribution (the plot is drawn with the main visualization)
+  const intervals = results.intervals;
+  if (intervals) {
+    const ms = (seconds) => `${(seconds * 1000).toFixed(1)} ms`;
+    const { p5, p25, p50, p75, p95 } = intervals.percentiles;
+    intervalStats.innerHTML = `
+      <span><strong>Intervals:</strong> ${intervals.count}</span>
+      <span><strong>Mean:</strong> ${ms(intervals.mean)} ± ${ms(intervals.std)}</span>
+      <span><strong>CV:</strong> ${(intervals.cv * 100).toFixed(1)}%</span>
+      <span><strong>Percentiles (5/25/50/75/95):</strong> ${[p5, p25, p50, p75, p95].map(p => (p * 1000).toFixed(1)).join(' / ')} ms</span>
+      <span><strong>Outliers:</strong> ${intervals.outliers} outside ${ms(Math.max(intervals.fences.low, 0))} - ${ms(intervals.fences.high)}</span>
+    `;
+  }
+
   // Display bursts
+  const droppedGroups = results.droppedGroups ?? [];
   if (results.bursts && results.bursts.length > 0) {
     let burstsHTML = '<h3>Burst Details</h3>';
-    for (const burst of results.bursts) {
+    results.bursts.forEach((burst, i) => {
+      const cyclicRate = burst.cyclicRateRpm === null
+        ? 'n/a'
+        : `${burst.cyclicRateRpm.toFixed(1)} RPM (confidence ${burst.cyclicRateConfidence.toFixed(2)})`;
+
       burstsHTML += `
-        <div class="burst-card">
-          <h4>Burst ${burst.burstNumber}</h4>
+        <div class="burst-card${burst.rateSuspect ? ' suspect' : ''}${burst.excluded ? ' excluded' : ''}" data-burst-start="${burst.startTime}">
+          <h4>Burst ${burst.burstNumber}${burst.excluded ? ' (excluded from summary)' : ''}${burst.included ? ' (included by hand)' : ''}</h4>
           <div class="burst-details">
             <p><strong>Shots:</strong> ${burst.numShots}</p>
-            <p><strong>Rate:</strong> ${burst.rateRpm.toFixed(1)} RPM</p>
+            <p><strong>Rate:</strong> ${burst.rateRpm.toFixed(1)} RPM${formatRateCi(burst.rateCiLowRpm, burst.rateCiHighRpm, summary.confidenceLevel)}</p>
+            ${burst.inferredShots > 0 || burst.removedShots > 0 ? `
+              <p><strong>Raw Rate:</strong> ${burst.rawRateRpm.toFixed(1)} RPM (${burst.inferredShots} inferred, ${burst.removedShots} removed)</p>
+            ` : ''}
+            <p><strong>Cyclic Rate:</strong> ${cyclicRate}</p>
             <p><strong>Duration:</strong> ${burst.duration.toFixed(3)} seconds</p>
             <p><strong>Time Range:</strong> ${burst.startTime.toFixed(2)}s - ${burst.endTime.toFixed(2)}s</p>
             <p><strong>Mean Interval:</strong> ${(burst.meanInterval * 1000).toFixed(1)} ms</p>
             <p><strong>Interval Range:</strong> ${(burst.minInterval * 1000).toFixed(1)} - ${(burst.maxInterval * 1000).toFixed(1)} ms</p>
+            <p><strong>Interval CV:</strong> ${(burst.cvInterval * 100).toFixed(1)}%</p>
+          </div>
+          ${burst.rateSuspect ? `
+            <p class="rate-warning">⚠ Shot count and cyclic rate differ by ${(burst.rateDisagreement * 100).toFixed(0)}% - likely missed or doubled shots; check the detection parameters.</p>
+          ` : ''}
+          <div class="burst-actions">
+            <button class="toolbar-btn" data-preview-burst="${i}">Preview</button>
+            ${i > 0 ? `<button class="toolbar-btn" data-burst-action="merge" data-burst="${i}">Merge with previous</button>` : ''}
+            <button class="toolbar-btn" data-burst-action="${burst.excluded ? 'restore' : 'exclude'}" data-burst="${i}">
+              ${burst.excluded ? 'Include in summary' : 'Exclude from summary'}
+            </button>
+            ${burst.included ? `<button class="toolbar-btn" data-burst-action="drop" data-burst="${i}">Drop</button>` : ''}
           </div>
         </div>
       `;
-    }
+    });
     rofBursts.innerHTML = burstsHTML;
   } else {
     rofBursts.innerHTML = '<p class="no-bursts">No bursts detected. Try adjusting the detection parameters.</p>';
   }
+
+  // Groups below the minimum burst count can be kept by hand
+  const includable = droppedGroups
+    .map((group, g) => ({ group, g }))
+    .filter(({ group }) => group.numShots >= 2);
+  if (includable.length > 0) {
+    rofBursts.innerHTML += `
+      <h3>Dropped Groups</h3>
+      <div class="dropped-groups">
+        ${includable.map(({ group, g }) => `
+          <div class="dropped-group">
+            ${group.numShots} shots, ${group.startTime.toFixed(2)}s - ${group.endTime.toFixed(2)}s
+            <button class="toolbar-btn" data-burst-action="include" data-group="${g}">Include as burst</button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
 }
 
 function scheduleReanalysis() {
+  // Batch rows analyzed with other parameters show as outdated
+  renderBatchTable();
+
   if (!currentFile) return;
 
   // Clear any pending reanalysis
@@ -205,20 +614,388 @@ function scheduleReanalysis() {
   }
 
   // Schedule reanalysis after 500ms of no changes
-  reanalysisTimeout = setTimeout(async () => {
+  reanalysisTimeout = setTimeout(() => {
+    reanalysisTimeout = null;
+    reanalyze('Re-analyzing with new parameters...');
+  }, 500);
+}
+
+/**
+ * Re-run the analysis of currentFile with the current parameters and edits
+ * Also picks up any parameter change still waiting on the debounce.
+ */
+async function reanalyze(message) {
+  if (reanalysisTimeout) {
+    clearTimeout(reanalysisTimeout);
+    reanalysisTimeout = null;
+  }
+
+  try {
+    loadingText.textContent = message;
+    loading.classList.add('active');
+    error.classList.remove('active');
+
+    await analyzeRateOfFire(currentFile);
+
+    loading.classList.remove('active');
+  } catch (err) {
+    if (err instanceof AnalysisCancelledError) return;
+
+    showError('Error re-analyzing file: ' + err.message);
+    loading.classList.remove('active');
+  }
+}
+
+/**
+ * Record a shot edit from the plot and regroup bursts with it
+ * Only the bursts stage re-runs; peak detection is reused.
+ */
+function applyShotEdit({ action, time }) {
+  // Remove the entry closest to `time` from a list of edit times
+  const withoutNearest = (times) => {
+    if (times.length === 0) return times;
+    let nearest = 0;
+    times.forEach((t, i) => {
+      if (Math.abs(t - time) < Math.abs(times[nearest] - time)) nearest = i;
+    });
+    return times.filter((_, i) => i !== nearest);
+  };
+
+  const { added, removed } = shotEdits;
+  switch (action) {
+    case 'add':
+      shotEdits = { added: [...added, time], removed };
+      break;
+    case 'remove':
+      shotEdits = { added, removed: [...removed, time] };
+      break;
+    case 'restore':
+      shotEdits = { added, removed: withoutNearest(removed) };
+      break;
+    case 'delete':
+      shotEdits = { added: withoutNearest(added), removed };
+      break;
+    default:
+      return;
+  }
+
+  updateClearEditsButton();
+  reanalyze('Applying shot edits...');
+}
+
+function emptyBurstEdits() {
+  return { splits: [], merges: [], included: [], excluded: [] };
+}
+
+/**
+ * Record a burst boundary edit and regroup bursts with it
+ * Edits are stored as times (see RateOfFireDetector.burstEdits):
+ *   split   - a time between the clicked shot and the one before it
+ *   merge   - the gap between a burst and the previous one
+ *   include - the middle of a dropped group; drop undoes it
+ *   exclude - the middle of a burst; restore undoes it
+ */
+function applyBurstEdit({ action, burstIndex, shotIndex, groupIndex }) {
+  if (!currentResults) return;
+
+  const bursts = currentResults.bursts;
+  const burst = bursts[burstIndex];
+  const inBurst = (t) => t >= burst.startTime && t <= burst.endTime;
+  const { splits, merges, included, excluded } = burstEdits;
+
+  switch (action) {
+    case 'split': {
+      if (shotIndex < 1) return;
+      const splitTime = (burst.shotTimes[shotIndex - 1] + burst.shotTimes[shotIndex]) / 2;
+      burstEdits = { ...burstEdits, splits: [...splits, splitTime] };
+      break;
+    }
+    case 'merge': {
+      const start = bursts[burstIndex - 1].endTime;
+      const end = burst.startTime;
+      burstEdits = {
+        ...burstEdits,
+        splits: splits.filter(t => t < start || t > end),
+        merges: [...merges, [start, end]]
+      };
+      break;
+    }
+    case 'include': {
+      const group = currentResults.droppedGroups[groupIndex];
+      burstEdits = { ...burstEdits, included: [...included, (group.startTime + group.endTime) / 2] };
+      break;
+    }
+    case 'drop':
+      burstEdits = { ...burstEdits, included: included.filter(t => !inBurst(t)) };
+      break;
+    case 'exclude':
+      burstEdits = { ...burstEdits, excluded: [...excluded, (burst.startTime + burst.endTime) / 2] };
+      break;
+    case 'restore':
+      burstEdits = { ...burstEdits, excluded: excluded.filter(t => !inBurst(t)) };
+      break;
+    default:
+      return;
+  }
+
+  updateClearEditsButton();
+  reanalyze('Applying burst edits...');
+}
+
+function updateClearEditsButton() {
+  const hasEdits = shotEdits.added.length > 0 || shotEdits.removed.length > 0 ||
+    Object.values(burstEdits).some(times => times.length > 0);
+  clearShotEditsBtn.disabled = !hasEdits;
+}
+
+/**
+ * Let the detector pick shot spacing, threshold and prominence for the
+ * current file, show why, and re-run the analysis with them
+ */
+async function autoTuneParameters() {
+  if (!currentFile || currentAudio?.file !== currentFile) return;
+
+  if (reanalysisTimeout) {
+    clearTimeout(reanalysisTimeout);
+    reanalysisTimeout = null;
+  }
+
+  // Claim a run so a parameter edit during tuning supersedes it
+  const run = ++analysisRun;
+
+  try {
+    loadingText.textContent = 'Auto-tuning parameters...';
+    loading.classList.add('active');
+    error.classList.remove('active');
+
+    const { sampleRate, channelData, timeOffset } = sliceAudio(currentAudio, readTrimRange(audioDuration(currentAudio)));
+    const onProgress = (message) => {
+      if (run === analysisRun) loadingText.textContent = message;
+    };
+    const tuningParameters = { ...readParameters(), timeOffset };
+    const { parameters, explanation } = await detectorWorker.autoTune(channelData, sampleRate, tuningParameters, onProgress);
+    if (run !== analysisRun) return;
+
+    minShotSpacingInput.value = parameters.minShotSpacing.toFixed(3);
+    peakThresholdInput.value = parameters.peakThresholdStd.toFixed(1);
+    minPeakProminenceInput.value = parameters.minPeakProminence.toFixed(2);
+
+    autoTuneExplanation.innerHTML = `<ul>${explanation.map(line => `<li>${line}</li>`).join('')}</ul>`;
+    autoTuneExplanation.classList.add('active');
+
+    await analyzeRateOfFire(currentFile);
+    loading.classList.remove('active');
+  } catch (err) {
+    if (err instanceof AnalysisCancelledError) return;
+
+    showError('Error auto-tuning parameters: ' + err.message);
+    loading.classList.remove('active');
+  }
+}
+
+/**
+ * Queue several files through the shared FFmpeg instance and compare them
+ */
+function handleFiles(files) {
+  batch = files.map(file => ({
+    file,
+    status: 'queued',
+    results: null,
+    error: null,
+    shotEdits: { added: [], removed: [] },
+    burstEdits: emptyBurstEdits(),
+    trimRange: { start: 0, end: null }
+  }));
+  batchResults.classList.add('active');
+  runBatch();
+}
+
+/**
+ * Analyze every batch entry in turn with the current parameters and the
+ * entry's own edits; starting again supersedes a batch still running
+ */
+async function runBatch() {
+  const run = ++batchRun;
+  batchWorker.cancel();
+
+  const entries = batch;
+  entries.forEach(entry => {
+    entry.status = 'queued';
+    entry.error = null;
+  });
+  renderBatchTable();
+
+  for (const [i, entry] of entries.entries()) {
+    if (run !== batchRun) return;
+
+    entry.status = 'analyzing';
+    renderBatchTable();
+
+    const onProgress = (message) => {
+      if (run === batchRun) batchStatus.textContent = `${i + 1}/${entries.length} ${entry.file.name}: ${message}`;
+    };
+
     try {
-      loadingText.textContent = 'Re-analyzing with new parameters...';
-      loading.classList.add('active');
-      error.classList.remove('active');
+      // The open file's audio is already decoded; others are decoded
+      // straight from their trim range
+      let audio;
+      if (currentAudio?.file === entry.file) {
+        // Sliced through a copy so the cached slice of the detail view, which
+        // its worker recognizes, isn't replaced
+        const { sampleRate, channelData } = currentAudio;
+        audio = sliceAudio({ sampleRate, channelData }, entry.trimRange);
+      } else {
+        const { start, end } = entry.trimRange;
+        const { sampleRate, channelData } = await decodeMedia(entry.file, {
+          start,
+          end,
+          isStale: () => run !== batchRun,
+          onProgress
+        });
+        if (!(channelData[0]?.length > 0)) {
+          throw new Error(`The analysis range starts at ${start}s, after the end of the file`);
+        }
+        audio = { sampleRate, channelData, timeOffset: start };
+      }
+      if (run !== batchRun) return;
 
-      await analyzeRateOfFire(currentFile);
+      const parameters = {
+        ...readParameters(),
+        shotEdits: entry.shotEdits,
+        burstEdits: entry.burstEdits,
+        timeOffset: audio.timeOffset
+      };
+      const { results } = await batchWorker.analyze(audio.channelData, audio.sampleRate, parameters, onProgress);
 
-      loading.classList.remove('active');
+      entry.results = { inputFile: entry.file.name, ...results };
+      entry.status = 'done';
     } catch (err) {
-      showError('Error re-analyzing file: ' + err.message);
-      loading.classList.remove('active');
+      if (err instanceof AnalysisCancelledError) return;
+
+      console.error(`Batch analysis of ${entry.file.name} failed:`, err);
+      entry.status = 'error';
+      entry.error = err.message;
     }
-  }, 500);
+
+    renderBatchTable();
+  }
+
+  batchStatus.textContent = `${entries.filter(e => e.status === 'done').length} of ${entries.length} files analyzed`;
+}
+
+/**
+ * Whether an entry's results were computed with other shared parameters than
+ * the current ones (edits are per file and don't count)
+ */
+function isOutdated(entry) {
+  if (!entry.results) return false;
+
+  return Object.entries(readParameters())
+    .filter(([name]) => name !== 'shotEdits' && name !== 'burstEdits')
+    // Object.is, so an empty number input (NaN) matches the NaN it produced
+    .some(([name, value]) => !Object.is(entry.results.parameters[name], value));
+}
+
+function renderBatchTable() {
+  if (batch.length === 0) return;
+
+  batchHead.innerHTML = `
+    <tr>
+      ${BATCH_COLUMNS.map(column => `
+        <th data-sort="${column.key}">
+          ${column.label}${batchSort.key === column.key ? (batchSort.ascending ? ' ▲' : ' ▼') : ''}
+        </th>
+      `).join('')}
+      <th></th>
+    </tr>
+  `;
+
+  const rows = batch.map((entry, index) => {
+    const row = { ...batchRow(entry), index };
+    if (entry.status === 'done' && isOutdated(entry)) row.status = 'outdated';
+    return row;
+  });
+
+  batchBody.innerHTML = sortBatchRows(rows, batchSort.key, batchSort.ascending).map(row => `
+    <tr class="${batch[row.index].file === currentFile ? 'open' : ''}">
+      ${BATCH_COLUMNS.map(column => `
+        <td class="${column.numeric ? 'numeric' : ''}">${formatBatchValue(column, row[column.key])}</td>
+      `).join('')}
+      <td><button class="toolbar-btn" data-batch-entry="${row.index}">Open</button></td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Save a Blob through a temporary download link
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Play the original file next to the plots
+ */
+function loadMedia(file) {
+  if (mediaURL) URL.revokeObjectURL(mediaURL);
+  mediaURL = URL.createObjectURL(file);
+
+  mediaPlayerContainer.classList.toggle('audio-only', file.type.startsWith('audio/'));
+  mediaPlayer.src = mediaURL;
+  mediaPlayer.playbackRate = parseFloat(playbackRateInput.value);
+  if (visualizer) visualizer.setPlayhead(null);
+}
+
+function seekMedia(time) {
+  if (!mediaURL) return;
+  mediaPlayer.currentTime = Math.max(time, 0);
+  if (visualizer) visualizer.setPlayhead(mediaPlayer.currentTime);
+}
+
+// Follow playback (or a shot preview) every frame; timeupdate alone is ~4 Hz
+function followPlayhead() {
+  const previewing = shotPreview.playing;
+  if (visualizer) visualizer.setPlayhead(previewing ? shotPreview.position : mediaPlayer.currentTime);
+  playheadFrame = previewing || !mediaPlayer.paused ? requestAnimationFrame(followPlayhead) : null;
+}
+
+/**
+ * Play a time range of the analyzed audio with a click at every shot
+ */
+function previewShots(start, end) {
+  if (!currentAnalysis || !currentResults) return;
+
+  // Every shot the detector kept, including those in dropped groups
+  const shotTimes = [
+    ...currentResults.bursts.flatMap(burst => burst.shotTimes),
+    ...(currentResults.droppedGroups ?? []).flatMap(group => group.shotTimes)
+  ];
+
+  mediaPlayer.pause();
+  // The signal the detector analyzed (selected channel, pre-filtered if a
+  // filter is on), so the clicks line up with what was detected
+  shotPreview.play(currentAnalysis.filteredAudio ?? currentAnalysis.audioData, currentAnalysis.sampleRate, {
+    timeOffset: currentResults.timeRange.start,
+    start,
+    end,
+    shotTimes,
+    burstSpans: currentResults.bursts.map(burst => [burst.startTime, burst.endTime]),
+    clicksOnly: previewClicksOnlyInput.checked,
+    burstsOnly: previewBurstsOnlyInput.checked,
+    playbackRate: parseFloat(playbackRateInput.value)
+  }).then(() => {
+    stopPreviewBtn.disabled = !shotPreview.playing;
+    if (shotPreview.playing && playheadFrame === null) {
+      playheadFrame = requestAnimationFrame(followPlayhead);
+    }
+  }).catch(err => {
+    showError('Error playing preview: ' + err.message);
+  });
 }
 
 function showError(message) {
@@ -242,11 +1019,25 @@ rofControlsHeader.addEventListener('click', () => {
 // Parameter change handlers - debounced reanalysis
 const parameterInputs = [
   peakThresholdInput,
+  thresholdModeInput,
+  thresholdWindowInput,
   minShotSpacingInput,
   burstGapThresholdInput,
   windowSizeInput,
   minPeakProminenceInput,
-  minBurstCountInput
+  minBurstCountInput,
+  repairBurstsInput,
+  envelopeMethodInput,
+  detectionMethodInput,
+  onsetThresholdInput,
+  shotTimeReferenceInput,
+  peakInterpolationInput,
+  highpassCutoffInput,
+  bandpassLowInput,
+  bandpassHighInput,
+  notchFrequencyInput,
+  channelModeInput,
+  channelVotingInput
 ];
 
 parameterInputs.forEach(input => {
@@ -256,30 +1047,184 @@ parameterInputs.forEach(input => {
   input.addEventListener('blur', scheduleReanalysis);
 });
 
+autoTuneBtn.addEventListener('click', autoTuneParameters);
+
+// Media player
+mediaPlayer.addEventListener('play', () => {
+  if (playheadFrame === null) playheadFrame = requestAnimationFrame(followPlayhead);
+});
+mediaPlayer.addEventListener('seeked', () => {
+  if (visualizer) visualizer.setPlayhead(mediaPlayer.currentTime);
+});
+mediaPlayer.addEventListener('ratechange', () => {
+  // Media keys and the native controls can change the rate too
+  const option = [...playbackRateInput.options].find(o => parseFloat(o.value) === mediaPlayer.playbackRate);
+  if (option) playbackRateInput.value = option.value;
+});
+playbackRateInput.addEventListener('change', () => {
+  mediaPlayer.playbackRate = parseFloat(playbackRateInput.value);
+});
+
+// Analysis time range
+[trimStartInput, trimEndInput].forEach(input => {
+  input.addEventListener('input', scheduleReanalysis);
+});
+trimToViewBtn.addEventListener('click', () => {
+  const range = visualizer?.visibleRange();
+  if (!range || !currentFile) return;
+
+  setTrimRange({ start: range[0], end: range[1] });
+  reanalyze('Analyzing the selected range...');
+});
+clearTrimBtn.addEventListener('click', () => {
+  if (!currentFile) return;
+
+  setTrimRange({ start: 0, end: null });
+  reanalyze('Analyzing the whole file...');
+});
+
+// Spectrogram subplot
+[showSpectrogramInput, spectrogramFftSizeInput, spectrogramHopInput, spectrogramDbRangeInput].forEach(input => {
+  input.addEventListener('change', () => {
+    if (currentFile) reanalyze('Updating spectrogram...');
+  });
+});
+
+// Click-track preview
+shotPreview.onEnded = () => {
+  stopPreviewBtn.disabled = true;
+};
+previewRangeBtn.addEventListener('click', () => {
+  const range = visualizer?.visibleRange();
+  if (range) previewShots(range[0], range[1]);
+});
+stopPreviewBtn.addEventListener('click', () => shotPreview.stop());
+mediaPlayer.addEventListener('play', () => shotPreview.stop());
+
+editShotsInput.addEventListener('change', () => {
+  if (visualizer) visualizer.editMode = editShotsInput.checked;
+});
+
+clearShotEditsBtn.addEventListener('click', () => {
+  if (!currentFile) return;
+
+  shotEdits = { added: [], removed: [] };
+  burstEdits = emptyBurstEdits();
+  clearShotEditsBtn.disabled = true;
+  reanalyze('Clearing edits...');
+});
+
+// Restore parameters and edits from a previously downloaded JSON file
+loadJsonBtn.addEventListener('click', () => loadJsonInput.click());
+
+loadJsonInput.addEventListener('change', async () => {
+  const file = loadJsonInput.files[0];
+  loadJsonInput.value = '';
+  if (!file || !currentFile) return;
+
+  try {
+    const { inputFile, parameters, timeRange } = JSON.parse(await file.text());
+    if (!parameters) throw new Error('no parameters in file');
+
+    if (inputFile && inputFile !== currentFile.name) {
+      console.warn(`Applying results saved for ${inputFile} to ${currentFile.name}`);
+    }
+
+    for (const [name, input] of Object.entries(parameterFields())) {
+      if (parameters[name] === undefined) continue;
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(parameters[name]);
+      } else {
+        input.value = parameters[name];
+      }
+    }
+
+    shotEdits = { added: [], removed: [], ...parameters.shotEdits };
+    burstEdits = { ...emptyBurstEdits(), ...parameters.burstEdits };
+    updateClearEditsButton();
+
+    // Results cover the whole file when the range ends at its last sample
+    if (timeRange) {
+      const duration = currentAudio?.file === currentFile ? audioDuration(currentAudio) : Infinity;
+      setTrimRange({ start: timeRange.start, end: timeRange.end < duration - 1e-6 ? timeRange.end : null });
+    }
+
+    reanalyze('Applying saved parameters and edits...');
+  } catch (err) {
+    showError('Error loading JSON results: ' + err.message);
+  }
+});
+
+// Burst card buttons
+rofBursts.addEventListener('click', (e) => {
+  const preview = e.target.closest('[data-preview-burst]');
+  if (preview) {
+    const burst = currentResults.bursts[parseInt(preview.dataset.previewBurst)];
+    previewShots(burst.startTime - PREVIEW_MARGIN, burst.endTime + PREVIEW_MARGIN);
+    return;
+  }
+
+  const button = e.target.closest('[data-burst-action]');
+  if (!button) {
+    // Anywhere else on a card seeks to the start of that burst
+    const card = e.target.closest('[data-burst-start]');
+    if (card) seekMedia(parseFloat(card.dataset.burstStart));
+    return;
+  }
+
+  applyBurstEdit({
+    action: button.dataset.burstAction,
+    burstIndex: parseInt(button.dataset.burst),
+    groupIndex: parseInt(button.dataset.group)
+  });
+});
+
 // Download handlers
 downloadJsonBtn.addEventListener('click', () => {
   if (!currentResults) return;
 
   const dataStr = JSON.stringify(currentResults, null, 2);
-  const blob = new Blob([dataStr], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'rof_results.json';
-  a.click();
-  URL.revokeObjectURL(url);
+  downloadBlob(new Blob([dataStr], { type: 'application/json' }), 'rof_results.json');
 });
 
 downloadPngBtn.addEventListener('click', async () => {
   if (!visualizer) return;
 
-  const blob = await visualizer.exportPNG();
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'rof_plot.png';
-  a.click();
-  URL.revokeObjectURL(url);
+  downloadBlob(await visualizer.exportPNG(), 'rof_plot.png');
+});
+
+// Batch table
+batchHead.addEventListener('click', (e) => {
+  const header = e.target.closest('[data-sort]');
+  if (!header) return;
+
+  const key = header.dataset.sort;
+  batchSort = { key, ascending: batchSort.key === key ? !batchSort.ascending : true };
+  renderBatchTable();
+});
+
+batchBody.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-batch-entry]');
+  if (!button) return;
+
+  const entry = batch[parseInt(button.dataset.batchEntry)];
+  handleFile(entry.file, entry);
+});
+
+rerunBatchBtn.addEventListener('click', runBatch);
+
+downloadBatchJsonBtn.addEventListener('click', () => {
+  if (batch.length === 0) return;
+
+  const dataStr = JSON.stringify(batchJSON(batch), null, 2);
+  downloadBlob(new Blob([dataStr], { type: 'application/json' }), 'rof_batch_results.json');
+});
+
+downloadBatchCsvBtn.addEventListener('click', () => {
+  if (batch.length === 0) return;
+
+  const rows = sortBatchRows(batch.map(batchRow), batchSort.key, batchSort.ascending);
+  downloadBlob(new Blob([batchCSV(rows)], { type: 'text/csv' }), 'rof_batch_results.csv');
 });
 
 dropZone.addEventListener('click', () => fileInput.click());
@@ -296,10 +1241,19 @@ dropZone.addEventListener('dragleave', () => {
 dropZone.addEventListener('drop', (e) => {
   e.preventDefault();
   dropZone.classList.remove('drag-over');
-  const file = e.dataTransfer.files[0];
-  handleFile(file);
+  openFiles([...e.dataTransfer.files]);
 });
 
 fileInput.addEventListener('change', (e) => {
-  handleFile(e.target.files[0]);
+  openFiles([...e.target.files]);
+  fileInput.value = '';
 });
+
+// One file opens directly; several start a batch
+function openFiles(files) {
+  if (files.length > 1) {
+    handleFiles(files);
+  } else if (files.length === 1) {
+    handleFile(files[0]);
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Onset Detection
+ * Spectral onset detection functions and onset picking, as an alternative
+ * to thresholding the amplitude envelope. Spectral change is less fooled by
+ * room echoes (which repeat the shot's spectrum at a lower level) and by
+ * suppressed shots whose envelope barely clears the background.
+ */
+
+import { stft } from './signal-processing.js';
+
+/**
+ * Onset detection functions selectable on RateOfFireDetector (`detectionMethod`)
+ */
+export const ONSET_METHODS = ['spectral-flux', 'hfc'];
+
+/**
+ * Compute an onset detection function (ODF) over STFT frames
+ *
+ *   spectral-flux - sum of positive changes in log-compressed magnitude between frames
+ *   hfc           - high-frequency content: bin-weighted spectral energy
+ *
+ * Frame i covers samples [i * hopSize, i * hopSize + fftSize) and is timed
+ * at the centre of that window (see frameCenter), like the spectrogram.
+ *
+ * @param {Float32Array} data - Audio samples
+ * @param {string} method - One of ONSET_METHODS
+ * @param {Object} options - STFT options
+ * @param {number} options.fftSize - Frame length (default: 1024)
+ * @param {number} options.hopSize - Hop between frames (default: 128)
+ * @returns {Object} {strength: Float32Array (one value per frame, normalized to [0, 1]), fftSize, hopSize}
+ */
+export function onsetStrength(data, method = 'spectral-flux', options = {}) {
+  const { fftSize = 1024, hopSize = 128 } = options;
+  const binCount = (fftSize >> 1) + 1;
+
+  if (!ONSET_METHODS.includes(method)) {
+    throw new Error(`Unknown onset method: ${method}`);
+  }
+
+  const frameCount = Math.max(Math.floor((data.length - fftSize) / hopSize) + 1, 1);
+  const strength = new Float32Array(frameCount);
+  const previous = new Float32Array(binCount);
+
+  stft(data, { fftSize, hopSize }, (magnitudes, frame) => {
+    let value = 0;
+
+    if (method === 'spectral-flux') {
+      for (let k = 0; k < binCount; k++) {
+        // Log compression keeps quiet high bins from being swamped by the low end
+        const compressed = Math.log1p(100 * magnitudes[k]);
+        const change = compressed - previous[k];
+        if (change > 0 && frame > 0) value += change;
+        previous[k] = compressed;
+      }
+    } else {
+      for (let k = 0; k < binCount; k++) {
+        value += k * magnitudes[k] * magnitudes[k];
+      }
+    }
+
+    strength[frame] = value;
+  });
+
+  let peak = 0;
+  for (let i = 0; i < frameCount; i++) {
+    if (strength[i] > peak) peak = strength[i];
+  }
+  if (peak > 0) {
+    for (let i = 0; i < frameCount; i++) {
+      strength[i] /= peak;
+    }
+  }
+
+  return { strength, fftSize, hopSize };
+}
+
+/**
+ * Sample index an onset detection frame is timed at: the centre of its window
+ * @param {number} frame - Frame index
+ * @param {number} fftSize - Frame length
+ * @param {number} hopSize - Hop between frames
+ * @returns {number} Sample index
+ */
+export function frameCenter(frame, fftSize, hopSize) {
+  return frame * hopSize + (fftSize >> 1);
+}
+
+/**
+ * Pick onsets from an onset detection function
+ * A frame is an onset when it is the maximum of its neighborhood, exceeds the
+ * local mean by `delta`, and comes at least `wait` frames after the previous onset
+ * (the same rules as librosa.util.peak_pick).
+ *
+ * @param {Float32Array} strength - Onset detection function
+ * @param {Object} options - Picking options (all windows in frames)
+ * @param {number} options.preMax - Frames before n that must not exceed it
+ * @param {number} options.postMax - Frames after n that must not exceed it
+ * @param {number} options.preAvg - Frames before n in the local mean
+ * @param {number} options.postAvg - Frames after n in the local mean
+ * @param {number} options.delta - Required margin above the local mean
+ * @param {number} options.wait - Minimum frames between onsets
+ * @returns {Array<number>} Onset frame indices
+ */
+export function pickOnsets(strength, options = {}) {
+  const {
+    preMax = 3,
+    postMax = 3,
+    preAvg = 30,
+    postAvg = 30,
+    delta = 0.07,
+    wait = 10
+  } = options;
+
+  const n = strength.length;
+  const onsets = [];
+  if (n === 0) return onsets;
+
+  // Running sum for the local mean
+  const prefix = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    prefix[i + 1] = prefix[i] + strength[i];
+  }
+
+  let lastOnset = -Infinity;
+
+  for (let i = 0; i < n; i++) {
+    const value = strength[i];
+    if (i - lastOnset <= wait) continue;
+
+    let isMax = true;
+    for (let j = Math.max(i - preMax, 0); j <= Math.min(i + postMax, n - 1); j++) {
+      if (strength[j] > value) {
+        isMax = false;
+        break;
+      }
+    }
+    if (!isMax) continue;
+
+    const avgStart = Math.max(i - preAvg, 0);
+    const avgEnd = Math.min(i + postAvg, n - 1);
+    const localMean = (prefix[avgEnd + 1] - prefix[avgStart]) / (avgEnd - avgStart + 1);
+    if (value < localMean + delta) continue;
+
+    onsets.push(i);
+    lastOnset = i;
+  }
+
+  return onsets;
+}
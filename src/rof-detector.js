@@ -4,6 +4,98 @@
  */
 
 import * as signal from './signal-processing.js';
+import * as filters from './filters.js';
+import * as onsets from './onset-detection.js';
+import { estimateCyclicRate } from './cyclic-rate.js';
+import { selectChannel } from './channels.js';
+import { assessSignalQuality } from './signal-quality.js';
+import { analyzeIntervals } from './interval-stats.js';
+import { CONFIDENCE_LEVEL, timingUncertainty, burstRateReplicates, rateInterval, weightedRateInterval } from './confidence.js';
+import { extractWithFFmpeg } from './audio-sources.js';
+
+/**
+ * Pipeline stages in execution order, with the parameters each one reads.
+ * Changing a parameter invalidates its stage and every stage after it.
+ */
+export const PIPELINE_STAGES = [
+  { name: 'channel', parameters: ['channelMode'] },
+  { name: 'filter', parameters: ['highpassCutoff', 'bandpassLow', 'bandpassHigh', 'notchFrequency', 'notchQ'] },
+  { name: 'envelope', parameters: ['windowSize', 'envelopeMethod'] },
+  { name: 'peaks', parameters: ['timeOffset', 'channelVoting', 'detectionMethod', 'thresholdMode', 'thresholdWindow', 'peakThresholdStd', 'minShotSpacing', 'minPeakProminence', 'onsetThreshold', 'peakInterpolation', 'shotTimeReference'] },
+  { name: 'bursts', parameters: ['shotEdits', 'burstGapThreshold', 'minBurstCount', 'burstEdits', 'repairBursts'] }
+];
+
+// Relative difference between the peak-count and cyclic rates beyond which
+// a burst is flagged as a likely detection error. Only cyclic rates with at
+// least RATE_CHECK_MIN_CONFIDENCE autocorrelation over bursts of at least
+// RATE_CHECK_MIN_SHOTS shots are trusted enough to flag; weaker ones are
+// mostly echoes and irregular fire lining up, not a miscounted burst
+const RATE_DISAGREEMENT_LIMIT = 0.15;
+const RATE_CHECK_MIN_CONFIDENCE = 0.25;
+const RATE_CHECK_MIN_SHOTS = 6;
+
+// Cyclic rate search range in RPM; the upper end grows to 60 / minShotSpacing
+// when the shot spacing allows faster fire (see cyclicRateRange)
+const CYCLIC_MIN_RPM = 300;
+const CYCLIC_MAX_RPM = 1500;
+
+// Burst repair: an interval below DOUBLE_SHOT_RATIO x the burst median is
+// treated as an echo counted twice; one within MISSED_SHOT_TOLERANCE of 2x or
+// 3x the median as one or two missed shots
+const DOUBLE_SHOT_RATIO = 0.6;
+const MISSED_SHOT_TOLERANCE = 0.15;
+
+// Envelope samples within this fraction of a peak's height count as the same
+// flat top; clipped shots are moved to the middle of theirs
+const PLATEAU_TOLERANCE = 0.002;
+
+// Channel voting: how far from a peak (seconds) a raw channel's envelope may
+// rise above its background and still count as hearing it, which allows
+// for the mics being a few meters apart
+const VOTE_WINDOW = 0.01;
+
+// Which point of a shot's envelope pulse its time refers to (see locateShots)
+export const SHOT_TIME_REFERENCES = ['peak', 'threshold', 'leading-edge'];
+
+/**
+ * Envelope detection threshold
+ *   global - mean + k * std of the whole envelope
+ *   local  - rolling median + k robust standard deviations (1.4826 * MAD)
+ *            over windowSamples
+ * @param {Float32Array} envelope - Amplitude envelope
+ * @param {string} mode - 'global' or 'local'
+ * @param {number} k - Standard deviations above the background
+ * @param {number} windowSamples - Rolling window for local mode, in samples
+ * @returns {number|Float32Array} Scalar threshold or per-sample curve
+ */
+function envelopeThreshold(envelope, mode, k, windowSamples) {
+  if (mode === 'global') {
+    return signal.mean(envelope) + k * signal.std(envelope);
+  }
+  if (mode !== 'local') {
+    throw new Error(`Unknown threshold mode: ${mode}`);
+  }
+  if (!(windowSamples > 0)) {
+    throw new Error('Threshold window must be positive');
+  }
+
+  const { median, mad } = signal.rollingMedianMad(envelope, windowSamples);
+  const curve = median;
+  for (let i = 0; i < curve.length; i++) {
+    curve[i] += k * 1.4826 * mad[i];
+  }
+  return curve;
+}
+
+/**
+ * Compare parameter values; object parameters (shotEdits) arrive as fresh
+ * copies from the worker, so they are compared by content
+ */
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
 
 export class RateOfFireDetector {
   constructor(options = {}) {
@@ -14,87 +106,296 @@ export class RateOfFireDetector {
     this.windowSize = options.windowSize ?? 0.002;
     this.minPeakProminence = options.minPeakProminence ?? 0.1;
     this.minBurstCount = options.minBurstCount ?? 5;
+    this.repairBursts = options.repairBursts ?? false; // Infer missed shots and drop doubles within bursts
+
+    // Manual corrections applied on top of peak detection, as times in seconds:
+    // shots to add, and detected shots to remove (matched within a tolerance,
+    // so edits survive parameter changes that shift peaks slightly)
+    this.shotEdits = options.shotEdits ?? { added: [], removed: [] };
+
+    // Manual burst boundaries, also as times so they survive re-detection:
+    //   splits   - times inside a gap that must end a burst
+    //   merges   - [start, end] ranges whose gaps must not end a burst
+    //   included - times inside groups to keep despite minBurstCount
+    //   excluded - times inside bursts to leave out of the summary
+    this.burstEdits = options.burstEdits ?? { splits: [], merges: [], included: [], excluded: [] };
+    this.envelopeMethod = options.envelopeMethod ?? 'box'; // see filters.ENVELOPE_METHODS
+
+    // Shot detection: 'envelope' thresholding, or an onset method from onsets.ONSET_METHODS
+    this.detectionMethod = options.detectionMethod ?? 'envelope';
+    this.onsetThreshold = options.onsetThreshold ?? 0.07;
+
+    // Envelope threshold: 'global' mean + k*std, or 'local' rolling median + k*MAD
+    // over `thresholdWindow` seconds so one loud burst doesn't hide quiet shots elsewhere
+    this.thresholdMode = options.thresholdMode ?? 'global';
+    this.thresholdWindow = options.thresholdWindow ?? 1.0;
+
+    // Shot timing: the point of each pulse a shot is placed at (one of
+    // SHOT_TIME_REFERENCES), and how the envelope maximum is refined between
+    // samples (signal.PEAK_INTERPOLATIONS)
+    this.shotTimeReference = options.shotTimeReference ?? 'peak';
+    this.peakInterpolation = options.peakInterpolation ?? 'parabolic';
+
+    // Multi-channel audio: which signal to analyze (see channels.CHANNEL_MODES),
+    // and whether shots must also be detected on a majority of the raw
+    // channels, which rejects noise spikes that only hit one mic
+    this.channelMode = options.channelMode ?? 'mid';
+    this.channelVoting = options.channelVoting ?? false;
+
+    // Pre-filtering parameters (Hz, 0 = disabled)
+    this.highpassCutoff = options.highpassCutoff ?? 0;
+    this.bandpassLow = options.bandpassLow ?? 0;
+    this.bandpassHigh = options.bandpassHigh ?? 0;
+    this.notchFrequency = options.notchFrequency ?? 0;
+    this.notchQ = options.notchQ ?? 30;
+
+    // Time of the first sample in the original file (seconds), when the
+    // loaded audio is a trimmed range of it; every reported time includes it
+    this.timeOffset = options.timeOffset ?? 0;
+
+    // Destination of progress and warning messages ({ log, warn }); pass a
+    // no-op log to keep them out of a caller's own output
+    this.logger = options.logger ?? console;
 
     // Analysis results
     this.sampleRate = null;
-    this.audioData = null;
+    this.channelData = null; // Loaded channels
+    this.audioData = null; // The signal chosen by channelMode
+    this.channel = null; // { mode, channel, channels, candidates } from the channel stage
+    this.signalQuality = null; // assessSignalQuality() of audioData
+    this.votedOutPeaks = 0; // Peaks rejected by channel voting
+    this.channelEnvelopes = null; // Envelope of each loaded channel, built for channel voting
+    this.filteredAudio = null; // null when no pre-filter is enabled
     this.envelope = null;
-    this.shotTimes = [];
+    this.threshold = null; // Global envelope threshold, null for local or onset detection
+    this.thresholdCurve = null; // Per-sample threshold in local mode
+    this.peaks = [];
+    this.peakProperties = {};
+    this.peakTimes = []; // Time of each peak, refined by locateShots
+    this.shotTimes = []; // Detected shots after manual edits
+    this.shotSamples = []; // Envelope sample index of each shot
+    this.shotSources = []; // 'detected' or 'manual' per shot
+    this.removedPeaks = []; // Indices into peaks removed by shotEdits
     this.bursts = [];
+    this.droppedGroups = []; // Groups below minBurstCount, as indices into shotTimes
+    this.includedBursts = new Set(); // Indices into bursts kept by burstEdits.included
+    this.excludedBursts = new Set(); // Indices into bursts left out of the summary
+    this.rateReplicates = []; // Bootstrap rate replicates per burst, from calculateRates
+
+    // Index of the first stage whose output is out of date
+    this.staleStage = 0;
   }
 
   /**
-   * Extract audio from video/audio file using ffmpeg to mono WAV
-   * @param {File} file - The input file
-   * @param {FFmpeg} ffmpeg - The FFmpeg instance
-   * @param {Function} onProgress - Progress callback
+   * Update detection parameters, invalidating only the stages they affect
+   * @param {Object} options - Parameters to change
+   * @returns {Array<string>} Names of the stages that will re-run
    */
-  async extractAudio(file, ffmpeg, onProgress = null) {
-    if (onProgress) onProgress('Extracting audio...');
+  setParameters(options = {}) {
+    PIPELINE_STAGES.forEach((stage, stageIdx) => {
+      for (const name of stage.parameters) {
+        if (options[name] === undefined || sameValue(options[name], this[name])) continue;
 
-    // Write input file
-    const fileData = await file.arrayBuffer();
-    await ffmpeg.writeFile('input', new Uint8Array(fileData));
+        this[name] = options[name];
+        this.staleStage = Math.min(this.staleStage, stageIdx);
+      }
+    });
 
-    // Extract to mono, 44.1kHz WAV
-    await ffmpeg.exec([
-      '-i', 'input',
-      '-ac', '1',        // mono
-      '-ar', '44100',    // 44.1kHz
-      '-f', 'wav',       // WAV format
-      '-y',              // overwrite
-      'output.wav'
-    ]);
+    return PIPELINE_STAGES.slice(this.staleStage).map(stage => stage.name);
+  }
 
-    // Read the output WAV file
-    const wavData = await ffmpeg.readFile('output.wav');
+  /**
+   * Current values of every detection parameter
+   */
+  getParameters() {
+    const parameters = {};
+    for (const stage of PIPELINE_STAGES) {
+      for (const name of stage.parameters) {
+        parameters[name] = this[name];
+      }
+    }
+    return parameters;
+  }
 
-    // Decode WAV file using Web Audio API
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const audioBuffer = await audioContext.decodeAudioData(wavData.buffer);
+  /**
+   * Load raw PCM samples for analysis
+   * @param {Float32Array|Array<Float32Array>} samples - Mono samples, or one array per channel, normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Function} onProgress - Progress callback
+   */
+  loadPCM(samples, sampleRate, onProgress = null) {
+    const channelData = Array.isArray(samples) ? samples : [samples];
+    if (channelData.length === 0 || !channelData[0] || channelData[0].length === 0) {
+      throw new Error('No audio samples to analyze');
+    }
+    if (!(sampleRate > 0)) {
+      throw new Error(`Invalid sample rate: ${sampleRate}`);
+    }
 
-    // Get the first channel (mono)
-    this.sampleRate = audioBuffer.sampleRate;
-    this.audioData = audioBuffer.getChannelData(0); // Float32Array, normalized to [-1, 1]
+    this.sampleRate = sampleRate;
+    this.channelData = channelData;
+    this.audioData = null;
+    this.staleStage = 0;
 
-    const duration = this.audioData.length / this.sampleRate;
-    console.log(`Audio loaded: ${duration.toFixed(2)} seconds, ${this.sampleRate}Hz`);
+    const duration = channelData[0].length / this.sampleRate;
+    this.logger.log(`Audio loaded: ${duration.toFixed(2)} seconds, ${this.sampleRate}Hz, ${channelData.length} channel(s)`);
 
     if (onProgress) onProgress(`Audio loaded: ${duration.toFixed(2)}s at ${this.sampleRate}Hz`);
 
-    // Clean up
-    await ffmpeg.deleteFile('input');
-    await ffmpeg.deleteFile('output.wav');
-
     return { duration, sampleRate: this.sampleRate };
   }
 
+  /**
+   * Reduce the loaded channels to the signal the rest of the pipeline analyzes
+   */
+  applyChannelMode(onProgress = null) {
+    const { samples, channel, candidates } = selectChannel(this.channelData, this.sampleRate, this.channelMode);
+    this.audioData = samples;
+    this.channel = { mode: this.channelMode, channel, channels: this.channelData.length, candidates };
+
+    this.signalQuality = assessSignalQuality(this.audioData, this.sampleRate);
+    const { clippedPercent, noiseFloorDb, snrDb, dynamicRangeDb, warnings } = this.signalQuality;
+    this.logger.log(
+      `Signal quality: ${clippedPercent.toFixed(2)}% clipped, noise floor ${noiseFloorDb.toFixed(1)} dBFS, ` +
+      `SNR ${snrDb.toFixed(1)} dB, dynamic range ${dynamicRangeDb.toFixed(1)} dB`
+    );
+    warnings.forEach(warning => this.logger.warn(warning));
+
+    if (this.channelData.length > 1) {
+      this.logger.log(`Analyzing ${channel} of ${this.channelData.length} channels`);
+      if (onProgress) onProgress(`Analyzing ${channel} channel`);
+    }
+  }
+
+  /**
+   * Keep only peaks that a majority of the raw channels also hear
+   * Each channel gets its own envelope (cached until the envelope stage
+   * re-runs) with the same filters and method. A channel votes for a peak
+   * when its envelope rises above its own background level (the threshold
+   * with zero deviations: its mean, or rolling median in local mode) within
+   * VOTE_WINDOW of it. That is far below the detection threshold, since one
+   * mic often hears a shot much more quietly or a few milliseconds later
+   * than the other, while a noise spike on one mic leaves the others at
+   * their background.
+   */
+  voteAcrossChannels(onProgress = null) {
+    this.votedOutPeaks = 0;
+    const numChannels = this.channelData.length;
+    if (numChannels < 2) return;
+
+    if (onProgress) onProgress(`Voting across ${numChannels} channels...`);
+
+    if (!this.channelEnvelopes) {
+      const sections = this.designFilters();
+      const windowSamples = Math.max(Math.floor(this.windowSize * this.sampleRate), 1);
+      this.channelEnvelopes = this.channelData.map(channel => filters.envelope(
+        sections.length > 0 ? signal.sosfilt(sections, channel) : channel,
+        this.envelopeMethod,
+        windowSamples
+      ));
+    }
+
+    const radius = Math.max(Math.round(VOTE_WINDOW * this.sampleRate), 1);
+    const thresholdWindow = Math.round(this.thresholdWindow * this.sampleRate);
+    const voters = this.channelEnvelopes.map(envelope => {
+      const threshold = envelopeThreshold(envelope, this.thresholdMode, 0, thresholdWindow);
+      const thresholdAt = typeof threshold === 'number' ? () => threshold : (i) => threshold[i];
+
+      return (peak) => {
+        const end = Math.min(peak + radius, envelope.length - 1);
+        for (let i = Math.max(peak - radius, 0); i <= end; i++) {
+          if (envelope[i] >= thresholdAt(i)) return true;
+        }
+        return false;
+      };
+    });
+
+    const keep = this.peaks.map(peak => voters.filter(hears => hears(peak)).length > numChannels / 2);
+
+    const kept = (values) => Array.prototype.filter.call(values, (_, i) => keep[i]);
+    for (const [name, values] of Object.entries(this.peakProperties)) {
+      if (values?.length === this.peaks.length) this.peakProperties[name] = kept(values);
+    }
+    this.votedOutPeaks = this.peaks.length - keep.filter(Boolean).length;
+    this.peaks = kept(this.peaks);
+    this.peakTimes = kept(this.peakTimes);
+
+    this.logger.log(`Channel voting rejected ${this.votedOutPeaks} peaks`);
+    if (onProgress) onProgress(`Channel voting kept ${this.peakTimes.length} shots`);
+  }
+
+  /**
+   * Design the enabled pre-filters as one cascade of biquad sections
+   * High-pass and band-pass edges are 4th-order Butterworth; the notch is a single section.
+   */
+  designFilters() {
+    const sections = [];
+    const order = 4;
+
+    if (this.highpassCutoff > 0) {
+      sections.push(...signal.butterworth('highpass', order, this.highpassCutoff, this.sampleRate));
+    }
+    if (this.bandpassLow > 0 && this.bandpassHigh > 0 && this.bandpassLow >= this.bandpassHigh) {
+      throw new Error(`Band-pass low cutoff (${this.bandpassLow} Hz) must be below the high cutoff (${this.bandpassHigh} Hz)`);
+    }
+    if (this.bandpassLow > 0) {
+      sections.push(...signal.butterworth('highpass', order, this.bandpassLow, this.sampleRate));
+    }
+    if (this.bandpassHigh > 0) {
+      sections.push(...signal.butterworth('lowpass', order, this.bandpassHigh, this.sampleRate));
+    }
+    if (this.notchFrequency > 0) {
+      sections.push(signal.biquad('notch', this.notchFrequency, this.sampleRate, this.notchQ));
+    }
+
+    return sections;
+  }
+
+  /**
+   * Apply the optional pre-filters to suppress wind, voices and rumble
+   * before the envelope is taken
+   */
+  applyFilters(onProgress = null) {
+    if (!this.audioData || !this.sampleRate) {
+      throw new Error('Must call loadPCM first');
+    }
+
+    const sections = this.designFilters();
+    if (sections.length === 0) {
+      this.filteredAudio = null;
+      return;
+    }
+
+    if (onProgress) onProgress('Filtering audio...');
+    this.filteredAudio = signal.sosfilt(sections, this.audioData);
+
+    this.logger.log(`Applied ${sections.length} filter sections`);
+  }
+
   /**
    * Calculate audio envelope using minimal smoothing to preserve transients
+   *
+   * `envelopeMethod` selects how amplitude is followed:
+   *   box       - moving average of |x| (default)
+   *   hilbert   - analytic-signal magnitude, smoothed by the same window
+   *   rms       - root-mean-square over the window
+   *   peak-hold - instant attack, exponential decay with windowSize as time constant
    */
   calculateEnvelope(onProgress = null) {
     if (onProgress) onProgress('Calculating audio envelope...');
 
     if (!this.audioData || !this.sampleRate) {
-      throw new Error('Must call extractAudio first');
+      throw new Error('Must call loadPCM first');
     }
 
     // For high-rate automatic fire, we need minimal smoothing
     // Use a very short window (1-2ms) to preserve individual shot peaks
     const windowSamples = Math.max(Math.floor(this.windowSize * this.sampleRate), 1);
 
-    // Use absolute value
-    const absAudio = signal.abs(this.audioData);
+    this.envelope = filters.envelope(this.filteredAudio ?? this.audioData, this.envelopeMethod, windowSamples);
+    this.channelEnvelopes = null;
 
-    // Apply minimal smoothing
-    if (windowSamples > 1) {
-      const window = signal.divide(signal.ones(windowSamples), windowSamples);
-      this.envelope = signal.convolve(absAudio, window, 'same');
-    } else {
-      this.envelope = absAudio;
-    }
-
-    console.log('Envelope calculated');
+    this.logger.log(`Envelope calculated (${this.envelopeMethod})`);
     if (onProgress) onProgress('Envelope calculated');
   }
 
@@ -102,75 +403,307 @@ export class RateOfFireDetector {
    * Detect gunshot peaks in the envelope using adaptive thresholding
    */
   detectPeaks(onProgress = null) {
+    if (this.detectionMethod !== 'envelope') {
+      return this.detectOnsets(onProgress);
+    }
+
     if (onProgress) onProgress('Detecting gunshot peaks...');
 
     if (!this.envelope || !this.sampleRate) {
       throw new Error('Must call calculateEnvelope first');
     }
 
-    // Calculate adaptive threshold
-    const meanLevel = signal.mean(this.envelope);
-    const stdLevel = signal.std(this.envelope);
-    const threshold = meanLevel + this.peakThresholdStd * stdLevel;
-
-    console.log(`Mean level: ${meanLevel.toFixed(4)}, Std: ${stdLevel.toFixed(4)}`);
-    console.log(`Threshold: ${threshold.toFixed(4)}`);
+    const threshold = this.calculateThreshold();
 
     // Minimum distance between peaks in samples
-    const minDistance = Math.floor(this.minShotSpacing * this.sampleRate);
+    const minDistance = Math.max(Math.floor(this.minShotSpacing * this.sampleRate), 1);
 
-    // Find peaks with minimum height, distance, and prominence
-    const { peaks, properties } = signal.findPeaks(this.envelope, {
+    // Prominence is configured relative to the loudest point in the envelope
+    const minProminence = this.minPeakProminence * signal.max(this.envelope);
+
+    // Find peaks with minimum height, distance, and prominence. Widths are
+    // measured for every peak (width >= 0) so each shot carries the full
+    // set of properties that got it accepted.
+    const found = signal.findPeaks(this.envelope, {
       height: threshold,
       distance: minDistance,
-      prominence: this.minPeakProminence
+      prominence: minProminence,
+      width: 0
     });
+    const { properties } = found;
+
+    // A clipped shot's highest envelope sample can be anywhere on its plateau
+    const peaks = signal.plateauCenters(this.envelope, found.peaks, PLATEAU_TOLERANCE, minDistance >> 1);
+
+    this.peaks = peaks;
+    this.peakProperties = properties;
 
     // Convert peak indices to times
-    this.shotTimes = peaks.map(idx => idx / this.sampleRate);
+    this.peakTimes = this.locateShots(peaks);
+
+    this.logger.log(`Detected ${this.peakTimes.length} potential shots`);
+    if (onProgress) onProgress(`Detected ${this.peakTimes.length} shots`);
+
+    return { peaks, properties };
+  }
+
+  /**
+   * Calculate the envelope detection threshold
+   * Global mode sets this.threshold to mean + peakThresholdStd * std of the whole
+   * envelope. Local mode sets this.thresholdCurve to a rolling median plus
+   * peakThresholdStd robust standard deviations (1.4826 * MAD).
+   * @returns {number|Float32Array} Scalar threshold or per-sample curve
+   */
+  calculateThreshold() {
+    const windowSamples = Math.round(this.thresholdWindow * this.sampleRate);
+    const threshold = envelopeThreshold(this.envelope, this.thresholdMode, this.peakThresholdStd, windowSamples);
+
+    if (typeof threshold === 'number') {
+      this.threshold = threshold;
+      this.thresholdCurve = null;
+      this.logger.log(`Threshold: ${threshold.toFixed(4)}`);
+    } else {
+      this.threshold = null;
+      this.thresholdCurve = threshold;
+      this.logger.log(`Local threshold over ${this.thresholdWindow}s windows`);
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Detect shots as spectral onsets instead of envelope peaks
+   * Produces the same peaks/peakTimes shape as detectPeaks, with each shot
+   * placed at the envelope maximum just after its onset frame's centre.
+   */
+  detectOnsets(onProgress = null) {
+    if (onProgress) onProgress(`Detecting onsets (${this.detectionMethod})...`);
+
+    if (!this.envelope || !this.sampleRate) {
+      throw new Error('Must call calculateEnvelope first');
+    }
+
+    const data = this.filteredAudio ?? this.audioData;
+    const { strength, fftSize, hopSize } = onsets.onsetStrength(data, this.detectionMethod);
+
+    // Picking windows in frames: a neighborhood of one shot spacing for the
+    // local maximum and 100ms either side for the local mean
+    const framesPerSecond = this.sampleRate / hopSize;
+    const spacingFrames = Math.max(Math.round(this.minShotSpacing * framesPerSecond), 1);
+    const averageFrames = Math.max(Math.round(0.1 * framesPerSecond), 1);
+
+    const onsetFrames = onsets.pickOnsets(strength, {
+      preMax: Math.max(spacingFrames >> 1, 1),
+      postMax: Math.max(spacingFrames >> 1, 1),
+      preAvg: averageFrames,
+      postAvg: averageFrames,
+      delta: this.onsetThreshold,
+      wait: Math.max(spacingFrames >> 1, 1)
+    });
+
+    // An onset frame is timed at its centre. HFC peaks with the transient
+    // near the centre and flux about three quarters in, where the Hann
+    // window rises fastest as the frame slides over it; the envelope lags
+    // both by its smoothing, so the shot is the envelope maximum within one
+    // frame length from the centre
+    const minDistance = Math.max(Math.floor(this.minShotSpacing * this.sampleRate), 1);
+    const onsetPeaks = [];
+    const onsetStrengths = [];
+    for (const frame of onsetFrames) {
+      const start = Math.min(onsets.frameCenter(frame, fftSize, hopSize), this.envelope.length - 1);
+      const end = Math.min(start + fftSize, this.envelope.length);
+
+      let peakIdx = start;
+      for (let i = start + 1; i < end; i++) {
+        if (this.envelope[i] > this.envelope[peakIdx]) peakIdx = i;
+      }
+
+      // Neighboring onsets can land on the same shot; keep the louder one
+      const last = onsetPeaks.length - 1;
+      if (last >= 0 && peakIdx - onsetPeaks[last] < minDistance) {
+        if (this.envelope[peakIdx] > this.envelope[onsetPeaks[last]]) {
+          onsetPeaks[last] = peakIdx;
+          onsetStrengths[last] = Math.max(onsetStrengths[last], strength[frame]);
+        }
+        continue;
+      }
 
-    console.log(`Detected ${this.shotTimes.length} potential shots`);
-    if (onProgress) onProgress(`Detected ${this.shotTimes.length} shots`);
+      onsetPeaks.push(peakIdx);
+      onsetStrengths.push(strength[frame]);
+    }
+
+    // As in detectPeaks, clipped shots go to the middle of their plateau
+    const peaks = signal.plateauCenters(this.envelope, onsetPeaks, PLATEAU_TOLERANCE, minDistance >> 1);
+
+    const prominenceData = signal.peakProminences(this.envelope, peaks);
+    const properties = {
+      onsetStrengths,
+      peakHeights: peaks.map(idx => this.envelope[idx]),
+      ...prominenceData,
+      ...signal.peakWidths(this.envelope, peaks, 0.5, prominenceData)
+    };
+
+    this.threshold = null;
+    this.thresholdCurve = null;
+    this.peaks = peaks;
+    this.peakProperties = properties;
+    this.peakTimes = this.locateShots(peaks);
+
+    this.logger.log(`Detected ${this.peakTimes.length} onsets`);
+    if (onProgress) onProgress(`Detected ${this.peakTimes.length} shots`);
 
     return { peaks, properties };
   }
 
+  /**
+   * Time of each detected shot, in seconds
+   * shotTimeReference picks the point of the envelope pulse:
+   *   peak         - the maximum, refined between samples by peakInterpolation
+   *   threshold    - where the envelope rises through the detection threshold;
+   *                  onset methods have no threshold and use half the rise instead
+   *   leading-edge - where the tangent at the steepest point of the rise meets its base
+   * The rise is searched up to one minimum shot spacing before the peak.
+   * @param {Array<number>} peaks - Envelope peak indices
+   * @returns {Array<number>} Shot times including timeOffset
+   */
+  locateShots(peaks) {
+    const maxDistance = Math.max(Math.floor(this.minShotSpacing * this.sampleRate), 1);
+    let positions;
+
+    switch (this.shotTimeReference) {
+      case 'peak':
+        positions = signal.interpolatePeaks(this.envelope, peaks, this.peakInterpolation);
+        break;
+      case 'threshold': {
+        const levels = peaks.map(peak => {
+          if (this.thresholdCurve) return this.thresholdCurve[peak];
+          if (this.threshold !== null) return this.threshold;
+          const base = signal.min(this.envelope.subarray(Math.max(peak - maxDistance, 0), peak + 1));
+          return (base + this.envelope[peak]) / 2;
+        });
+        positions = signal.risingCrossings(this.envelope, peaks, levels, maxDistance);
+        break;
+      }
+      case 'leading-edge':
+        positions = signal.leadingEdges(this.envelope, peaks, maxDistance);
+        break;
+      default:
+        throw new Error(`Unknown shot time reference: ${this.shotTimeReference}`);
+    }
+
+    return positions.map(position => this.timeOffset + position / this.sampleRate);
+  }
+
+  /**
+   * How far a shot may move between runs and still match an edit made at its
+   * old time: half the minimum shot spacing, at most 10ms
+   */
+  editTolerance() {
+    return Math.min(this.minShotSpacing / 2, 0.01);
+  }
+
+  /**
+   * Build the shot list from the detected peaks and shotEdits
+   * Runs at the start of the bursts stage, so editing shots never re-runs
+   * peak detection.
+   */
+  applyShotEdits() {
+    const { added = [], removed = [] } = this.shotEdits ?? {};
+    const tolerance = this.editTolerance();
+    const near = (times, time) => times.some(t => Math.abs(t - time) <= tolerance);
+
+    const shots = [];
+    this.removedPeaks = [];
+    this.peaks.forEach((sample, peakIdx) => {
+      const time = this.peakTimes[peakIdx];
+      if (near(removed, time)) {
+        this.removedPeaks.push(peakIdx);
+      } else {
+        shots.push({ time, sample, source: 'detected' });
+      }
+    });
+
+    for (const time of added) {
+      const sample = Math.round((time - this.timeOffset) * this.sampleRate);
+      // Ignore additions outside the audio or on top of a kept shot
+      if (sample < 0 || sample >= this.envelope.length) continue;
+      if (near(shots.map(shot => shot.time), time)) continue;
+      shots.push({ time, sample, source: 'manual' });
+    }
+
+    shots.sort((a, b) => a.time - b.time);
+    this.shotTimes = shots.map(shot => shot.time);
+    this.shotSamples = shots.map(shot => shot.sample);
+    this.shotSources = shots.map(shot => shot.source);
+
+    if (added.length > 0 || removed.length > 0) {
+      const manual = this.shotSources.filter(source => source === 'manual').length;
+      this.logger.log(`Shot edits: ${manual} added, ${this.removedPeaks.length} removed`);
+    }
+  }
+
   /**
    * Group shots into bursts and calculate rate-of-fire for each
    */
   groupIntoBursts(onProgress = null) {
     if (onProgress) onProgress('Grouping shots into bursts...');
 
+    this.applyShotEdits();
+
+    this.bursts = [];
+    this.droppedGroups = [];
+    this.includedBursts = new Set();
+    this.excludedBursts = new Set();
+
     if (this.shotTimes.length === 0) {
-      console.log('No shots detected!');
+      this.logger.log('No shots detected!');
       if (onProgress) onProgress('No shots detected');
       return;
     }
 
-    this.bursts = [];
-    let currentBurst = [0]; // indices into shotTimes
+    // Edit times are matched with the shot edit tolerance, since a parameter
+    // change can move every shot slightly. Splits need none: each sits in the
+    // middle of its gap, at least half the shot spacing from either shot
+    const { splits = [], merges = [], included = [], excluded = [] } = this.burstEdits ?? {};
+    const tolerance = this.editTolerance();
+    const within = (time, start, end) => time >= start - tolerance && time <= end + tolerance;
+    const spanOf = (group) => [this.shotTimes[group[0]], this.shotTimes[group[group.length - 1]]];
+
+    // Split the shot list wherever the gap is too long (unless merged) or split by hand
+    const groups = [];
+    let currentGroup = [0]; // indices into shotTimes
 
     for (let i = 1; i < this.shotTimes.length; i++) {
-      const gap = this.shotTimes[i] - this.shotTimes[i - 1];
+      const previous = this.shotTimes[i - 1];
+      const time = this.shotTimes[i];
+
+      const merged = merges.some(([start, end]) => within(previous, start, end) && within(time, start, end));
+      const split = splits.some(t => t > previous && t < time);
 
-      if (gap <= this.burstGapThreshold) {
-        // Continue current burst
-        currentBurst.push(i);
+      if (split || (time - previous > this.burstGapThreshold && !merged)) {
+        groups.push(currentGroup);
+        currentGroup = [i];
       } else {
-        // End current burst, start new one
-        if (currentBurst.length >= this.minBurstCount) {
-          this.bursts.push(currentBurst);
-        }
-        currentBurst = [i];
+        currentGroup.push(i);
       }
     }
+    groups.push(currentGroup);
+
+    // Keep groups with enough shots, plus any the user included by hand
+    for (const group of groups) {
+      const [start, end] = spanOf(group);
+      const include = group.length >= 2 && included.some(t => within(t, start, end));
 
-    // Don't forget the last burst
-    if (currentBurst.length >= this.minBurstCount) {
-      this.bursts.push(currentBurst);
+      if (group.length >= this.minBurstCount || include) {
+        if (group.length < this.minBurstCount) this.includedBursts.add(this.bursts.length);
+        if (excluded.some(t => within(t, start, end))) this.excludedBursts.add(this.bursts.length);
+        this.bursts.push(group);
+      } else {
+        this.droppedGroups.push(group);
+      }
     }
 
-    console.log(`Found ${this.bursts.length} bursts`);
+    this.logger.log(`Found ${this.bursts.length} bursts`);
     if (onProgress) onProgress(`Found ${this.bursts.length} bursts`);
   }
 
@@ -179,10 +712,19 @@ export class RateOfFireDetector {
    */
   calculateRates() {
     const results = [];
+    this.rateReplicates = [];
+    const timingSigma = timingUncertainty(this.sampleRate, this.windowSize);
 
     for (let burstIdx = 0; burstIdx < this.bursts.length; burstIdx++) {
       const burst = this.bursts[burstIdx];
-      const times = burst.map(idx => this.shotTimes[idx]);
+      const rawTimes = burst.map(idx => this.shotTimes[idx]);
+      const rawRateRpm = rawTimes.length > 1
+        ? ((rawTimes.length - 1) / (rawTimes[rawTimes.length - 1] - rawTimes[0])) * 60
+        : 0;
+
+      const { times, origins, removedTimes } = this.repairBursts
+        ? this.repairBurst(burst)
+        : { times: rawTimes, origins: burst.map(idx => this.shotSources[idx]), removedTimes: [] };
 
       const startTime = times[0];
       const endTime = times[times.length - 1];
@@ -196,6 +738,21 @@ export class RateOfFireDetector {
       // Calculate inter-shot intervals
       const intervals = signal.diff(times);
 
+      const replicates = burstRateReplicates(times, timingSigma, burstIdx + 1);
+      const rateCi = rateInterval(replicates);
+      this.rateReplicates.push(replicates);
+
+      const meanInterval = signal.mean(intervals);
+
+      // Independent check: the envelope's own periodicity over the burst,
+      // which a missed or doubled peak barely moves
+      const cyclicRate = this.estimateBurstCyclicRate(startTime - meanInterval, endTime + meanInterval);
+      const rateDisagreement = cyclicRate ? Math.abs(rateRpm - cyclicRate.rateRpm) / cyclicRate.rateRpm : null;
+      const rateSuspect = rateDisagreement !== null &&
+        rateDisagreement > RATE_DISAGREEMENT_LIMIT &&
+        cyclicRate.confidence >= RATE_CHECK_MIN_CONFIDENCE &&
+        numShots >= RATE_CHECK_MIN_SHOTS;
+
       const burstInfo = {
         burstNumber: burstIdx + 1,
         startTime: startTime,
@@ -203,26 +760,147 @@ export class RateOfFireDetector {
         duration: duration,
         numShots: numShots,
         rateRpm: rateRpm,
-        meanInterval: signal.mean(intervals),
+        // Bootstrap confidence interval of rateRpm (see confidence.js)
+        rateCiLowRpm: rateCi ? rateCi.low : null,
+        rateCiHighRpm: rateCi ? rateCi.high : null,
+        rawRateRpm: rawRateRpm,
+        inferredShots: origins.filter(origin => origin === 'inferred').length,
+        removedShots: removedTimes.length,
+        cyclicRateRpm: cyclicRate ? cyclicRate.rateRpm : null,
+        cyclicRateConfidence: cyclicRate ? cyclicRate.confidence : null,
+        rateDisagreement: rateDisagreement,
+        rateSuspect: rateSuspect,
+        included: this.includedBursts.has(burstIdx),
+        excluded: this.excludedBursts.has(burstIdx),
+        meanInterval: meanInterval,
+        medianInterval: signal.median(intervals),
         stdInterval: signal.std(intervals),
+        // Coefficient of variation: interval spread relative to the mean
+        cvInterval: meanInterval > 0 ? signal.std(intervals) / meanInterval : 0,
         minInterval: signal.min(intervals),
         maxInterval: signal.max(intervals),
-        shotTimes: times
+        shotTimes: times,
+        shotOrigins: origins,
+        removedShotTimes: removedTimes
       };
 
       results.push(burstInfo);
 
-      console.log(`Burst ${burstIdx + 1}: ${numShots} shots, ${rateRpm.toFixed(1)} RPM (${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s)`);
+      this.logger.log(`Burst ${burstIdx + 1}: ${numShots} shots, ${rateRpm.toFixed(1)} RPM (${startTime.toFixed(2)}s - ${endTime.toFixed(2)}s)`);
+      if (burstInfo.inferredShots > 0 || burstInfo.removedShots > 0) {
+        this.logger.log(`  Repaired: ${burstInfo.inferredShots} inferred, ${burstInfo.removedShots} removed (raw ${rawRateRpm.toFixed(1)} RPM)`);
+      }
+      if (cyclicRate) {
+        this.logger.log(`  Cyclic rate ${cyclicRate.rateRpm.toFixed(1)} RPM (confidence ${cyclicRate.confidence.toFixed(2)})` +
+          (burstInfo.rateSuspect ? ' - disagrees with the shot count, check detection' : ''));
+      }
     }
 
     return results;
   }
 
+  /**
+   * Repair one burst's shot list against its median interval
+   * Doubles are resolved first by dropping the quieter shot of each too-short
+   * interval; then intervals near 2x or 3x the median get one or two evenly
+   * spaced inferred shots. The median comes from the raw intervals, and
+   * bursts with fewer than three intervals are left alone.
+   * @param {Array<number>} burst - Indices into shotTimes
+   * @returns {Object} {times, origins ('detected' | 'manual' | 'inferred' per time), removedTimes}
+   */
+  repairBurst(burst) {
+    const shots = burst.map(idx => ({
+      time: this.shotTimes[idx],
+      height: this.envelope[this.shotSamples[idx]],
+      origin: this.shotSources[idx]
+    }));
+    const removedTimes = [];
+
+    if (shots.length < 4) {
+      return { times: shots.map(s => s.time), origins: shots.map(s => s.origin), removedTimes };
+    }
+
+    const medianInterval = signal.median(signal.diff(shots.map(s => s.time)));
+
+    // Echoes and ringing counted as a second shot
+    for (let i = 0; i < shots.length - 1;) {
+      if (shots[i + 1].time - shots[i].time < DOUBLE_SHOT_RATIO * medianInterval) {
+        const quieter = shots[i + 1].height < shots[i].height ? i + 1 : i;
+        removedTimes.push(shots[quieter].time);
+        shots.splice(quieter, 1);
+      } else {
+        i++;
+      }
+    }
+
+    // Gaps that fit a whole number of periods
+    const repaired = [shots[0]];
+    for (let i = 1; i < shots.length; i++) {
+      const gap = shots[i].time - shots[i - 1].time;
+      const multiple = Math.round(gap / medianInterval);
+
+      if (multiple >= 2 && multiple <= 3 &&
+          Math.abs(gap / (multiple * medianInterval) - 1) <= MISSED_SHOT_TOLERANCE) {
+        for (let k = 1; k < multiple; k++) {
+          repaired.push({ time: shots[i - 1].time + (gap * k) / multiple, origin: 'inferred' });
+        }
+      }
+      repaired.push(shots[i]);
+    }
+
+    return {
+      times: repaired.map(s => s.time),
+      origins: repaired.map(s => s.origin),
+      removedTimes
+    };
+  }
+
+  /**
+   * Rates searched for a cyclic rate, in RPM
+   * Up to the fastest rate minShotSpacing can resolve, so a fast burst isn't
+   * matched to a subharmonic of its true period.
+   */
+  cyclicRateRange() {
+    return {
+      minRpm: CYCLIC_MIN_RPM,
+      maxRpm: Math.max(CYCLIC_MAX_RPM, 60 / this.minShotSpacing)
+    };
+  }
+
+  /**
+   * Estimate the cyclic rate of the envelope between two times
+   * The slowest rate considered is the one that still fits two periods in the window.
+   * @param {number} startTime - Window start in seconds
+   * @param {number} endTime - Window end in seconds
+   * @returns {Object|null} estimateCyclicRate() result, or null if the window is too short
+   */
+  estimateBurstCyclicRate(startTime, endTime) {
+    const start = Math.max(Math.floor((startTime - this.timeOffset) * this.sampleRate), 0);
+    const end = Math.min(Math.ceil((endTime - this.timeOffset) * this.sampleRate), this.envelope.length);
+    const window = (end - start) / this.sampleRate;
+
+    const range = this.cyclicRateRange();
+    const minRpm = Math.max(range.minRpm, 120 / window);
+    const maxRpm = range.maxRpm;
+    if (minRpm >= maxRpm) return null;
+
+    return estimateCyclicRate(this.envelope.subarray(start, end), this.sampleRate, { minRpm, maxRpm });
+  }
+
   /**
    * Generate overall summary statistics
    */
-  generateSummary(burstResults) {
-    if (!burstResults || burstResults.length === 0) {
+  generateSummary(allBursts) {
+    // Bursts excluded by hand are reported but don't count toward the statistics
+    const burstResults = (allBursts ?? []).filter(b => !b.excluded);
+    const excludedBursts = (allBursts ?? []).length - burstResults.length;
+    const weighted = weightedRateInterval(
+      (allBursts ?? [])
+        .map((b, i) => ({ ...b, replicates: this.rateReplicates[i] ?? new Float64Array(0) }))
+        .filter(b => !b.excluded)
+    );
+
+    if (burstResults.length === 0) {
       return {
         totalShots: 0,
         totalBursts: 0,
@@ -231,11 +909,20 @@ export class RateOfFireDetector {
         medianBurstRateRpm: 0,
         minBurstRateRpm: 0,
         maxBurstRateRpm: 0,
-        stdBurstRateRpm: 0
+        stdBurstRateRpm: 0,
+        weightedRateRpm: 0,
+        weightedRateCiLowRpm: null,
+        weightedRateCiHighRpm: null,
+        confidenceLevel: CONFIDENCE_LEVEL,
+        rawMedianBurstRateRpm: 0,
+        inferredShots: 0,
+        removedShots: 0,
+        excludedBursts
       };
     }
 
     const rates = burstResults.map(b => b.rateRpm);
+    const rawRates = burstResults.map(b => b.rawRateRpm);
     const totalShots = burstResults.reduce((sum, b) => sum + b.numShots, 0);
 
     // Calculate overall rate (all shots across all bursts)
@@ -258,36 +945,183 @@ export class RateOfFireDetector {
       medianBurstRateRpm: signal.median(rates),
       minBurstRateRpm: signal.min(rates),
       maxBurstRateRpm: signal.max(rates),
-      stdBurstRateRpm: signal.std(rates)
+      stdBurstRateRpm: signal.std(rates),
+      // Mean burst rate weighted by shot count, with its bootstrap confidence interval
+      weightedRateRpm: weighted.rateRpm,
+      weightedRateCiLowRpm: weighted.low,
+      weightedRateCiHighRpm: weighted.high,
+      confidenceLevel: CONFIDENCE_LEVEL,
+      rawMedianBurstRateRpm: signal.median(rawRates),
+      inferredShots: burstResults.reduce((sum, b) => sum + b.inferredShots, 0),
+      removedShots: burstResults.reduce((sum, b) => sum + b.removedShots, 0),
+      excludedBursts
     };
   }
 
   /**
-   * Run complete analysis pipeline
+   * Run every stage invalidated since the last run, reusing cached output
+   * from the rest
+   * @param {Function} onProgress - Progress callback
    */
-  async analyze(file, ffmpeg, onProgress = null) {
-    const audioInfo = await this.extractAudio(file, ffmpeg, onProgress);
-    this.calculateEnvelope(onProgress);
-    const { peaks, properties } = this.detectPeaks(onProgress);
-    this.groupIntoBursts(onProgress);
+  run(onProgress = null) {
+    this.runThrough('bursts', onProgress);
+
     const burstResults = this.calculateRates();
     const summary = this.generateSummary(burstResults);
 
+    const audioDuration = this.audioData.length / this.sampleRate;
+
     return {
-      inputFile: file.name,
-      audioDuration: audioInfo.duration,
-      sampleRate: audioInfo.sampleRate,
-      parameters: {
-        peakThresholdStd: this.peakThresholdStd,
-        minShotSpacing: this.minShotSpacing,
-        burstGapThreshold: this.burstGapThreshold,
-        windowSize: this.windowSize,
-        minPeakProminence: this.minPeakProminence,
-        minBurstCount: this.minBurstCount
-      },
+      audioDuration,
+      // Analyzed range of the original file; shot and burst times are relative
+      // to the file, while peaks are sample indices into the analyzed range
+      timeRange: { start: this.timeOffset, end: this.timeOffset + audioDuration },
+      sampleRate: this.sampleRate,
+      channel: { ...this.channel, votedOutPeaks: this.votedOutPeaks },
+      signalQuality: this.signalQuality,
+      parameters: this.getParameters(),
+      threshold: this.threshold,
       summary,
       bursts: burstResults,
-      peaks
+      // Interval distribution over the bursts counted in the summary
+      intervals: analyzeIntervals(burstResults),
+      peaks: this.peaks,
+      peakTimes: this.peakTimes,
+      peakProperties: this.peakProperties,
+      removedPeaks: this.removedPeaks,
+      droppedGroups: this.droppedGroups.map(group => ({
+        startTime: this.shotTimes[group[0]],
+        endTime: this.shotTimes[group[group.length - 1]],
+        numShots: group.length,
+        shotTimes: group.map(idx => this.shotTimes[idx])
+      })),
+      manualShotTimes: this.shotTimes.filter((_, i) => this.shotSources[i] === 'manual')
+    };
+  }
+
+  /**
+   * Run every stale stage up to and including `lastStage`
+   * @param {string} lastStage - Name of a stage in PIPELINE_STAGES
+   * @param {Function} onProgress - Progress callback
+   */
+  runThrough(lastStage, onProgress = null) {
+    if (!this.channelData || !this.sampleRate) {
+      throw new Error('Must call loadPCM first');
+    }
+
+    const stages = {
+      channel: () => this.applyChannelMode(onProgress),
+      filter: () => this.applyFilters(onProgress),
+      envelope: () => this.calculateEnvelope(onProgress),
+      peaks: () => {
+        this.detectPeaks(onProgress);
+        if (this.channelVoting) this.voteAcrossChannels(onProgress);
+        else this.votedOutPeaks = 0;
+      },
+      bursts: () => this.groupIntoBursts(onProgress)
+    };
+
+    const lastIdx = PIPELINE_STAGES.findIndex(stage => stage.name === lastStage);
+    for (let stageIdx = this.staleStage; stageIdx <= lastIdx; stageIdx++) {
+      stages[PIPELINE_STAGES[stageIdx].name]();
+    }
+    this.staleStage = Math.max(this.staleStage, lastIdx + 1);
+  }
+
+  /**
+   * Choose minShotSpacing, peakThresholdStd and minPeakProminence from the signal
+   * The dominant cyclic rate comes from the envelope's autocorrelation; the shot
+   * spacing is set to 60% of its period. Envelope maxima at that spacing are
+   * split into shot-level and background peaks (Otsu's method on log height),
+   * the threshold is placed at the split and the minimum prominence at half
+   * the weakest shot-level prominence. The new values are applied with
+   * setParameters, so the next run() re-detects peaks with them.
+   * @param {Function} onProgress - Progress callback
+   * @returns {Object} {parameters, cyclicRate: {rateRpm, period, confidence}, explanation: Array<string>}
+   */
+  autoTune(onProgress = null) {
+    this.runThrough('envelope', onProgress);
+    if (onProgress) onProgress('Estimating cyclic rate...');
+
+    const { minRpm, maxRpm } = this.cyclicRateRange();
+    const cyclicRate = estimateCyclicRate(this.envelope, this.sampleRate, { minRpm, maxRpm });
+    if (!cyclicRate) {
+      throw new Error(`Auto-tune found no periodic firing between ${minRpm} and ${maxRpm.toFixed(0)} RPM`);
+    }
+
+    const round = (value, step) => Math.round(value / step) * step;
+    const clamp = (value, lo, hi) => Math.min(Math.max(value, lo), hi);
+
+    const minShotSpacing = clamp(round(0.6 * cyclicRate.period, 0.005), 0.01, 1);
+    const minDistance = Math.max(Math.floor(minShotSpacing * this.sampleRate), 1);
+
+    // Split the envelope maxima into shots and background
+    const { peaks } = signal.findPeaks(this.envelope, { distance: minDistance });
+    const logHeights = peaks.map(idx => Math.log(this.envelope[idx] + 1e-9));
+    const split = Math.exp(signal.otsuThreshold(logHeights));
+    const shots = peaks.filter(idx => this.envelope[idx] >= split);
+
+    // Express the split in the active threshold mode's units
+    let center;
+    let spread;
+    if (this.thresholdMode === 'local') {
+      center = signal.median(this.envelope);
+      spread = 1.4826 * signal.median(this.envelope.map(v => Math.abs(v - center)));
+    } else {
+      center = signal.mean(this.envelope);
+      spread = signal.std(this.envelope);
+    }
+    const peakThresholdStd = spread > 0
+      ? clamp(round((split - center) / spread, 0.1), 0.1, 5)
+      : this.peakThresholdStd;
+
+    const { prominences } = signal.peakProminences(this.envelope, shots);
+    const weakest = prominences.length > 0
+      ? [...prominences].sort((a, b) => a - b)[Math.floor(0.1 * prominences.length)]
+      : 0;
+    const minPeakProminence = clamp(round((0.5 * weakest) / signal.max(this.envelope), 0.01), 0.01, 1);
+
+    const parameters = { minShotSpacing, peakThresholdStd, minPeakProminence };
+    this.setParameters(parameters);
+
+    const explanation = [
+      `Dominant cyclic rate ≈ ${cyclicRate.rateRpm.toFixed(0)} RPM ` +
+        `(period ${(cyclicRate.period * 1000).toFixed(1)} ms, autocorrelation ${cyclicRate.confidence.toFixed(2)}` +
+        `${cyclicRate.confidence < 0.1 ? ', weak periodicity - check the result' : ''}).`,
+      `Minimum shot spacing ${minShotSpacing.toFixed(3)}s: 60% of the period, resolving up to ` +
+        `${(60 / minShotSpacing).toFixed(0)} RPM.`,
+      `Peak threshold ${peakThresholdStd.toFixed(1)}: splits ${peaks.length} envelope maxima into ` +
+        `${shots.length} shot-level and ${peaks.length - shots.length} background peaks.`,
+      `Minimum peak prominence ${minPeakProminence.toFixed(2)}: half the weakest shot-level prominence.`
+    ];
+
+    explanation.forEach(line => this.logger.log(`Auto-tune: ${line}`));
+    if (onProgress) onProgress(`Auto-tuned for ≈${cyclicRate.rateRpm.toFixed(0)} RPM`);
+
+    return { parameters, cyclicRate, explanation };
+  }
+
+  /**
+   * Run the detection pipeline over raw PCM samples
+   * @param {Float32Array|Array<Float32Array>} samples - Mono samples, or one array per channel, normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Function} onProgress - Progress callback
+   */
+  analyzePCM(samples, sampleRate, onProgress = null) {
+    this.loadPCM(samples, sampleRate, onProgress);
+    return this.run(onProgress);
+  }
+
+  /**
+   * Run complete analysis pipeline on a media file, extracting audio with FFmpeg
+   */
+  async analyze(file, ffmpeg, onProgress = null) {
+    const { sampleRate, channelData } = await extractWithFFmpeg(file, ffmpeg, { channels: null, onProgress });
+    const results = this.analyzePCM(channelData, sampleRate, onProgress);
+
+    return {
+      inputFile: file.name,
+      ...results
     };
   }
 }
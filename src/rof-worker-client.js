@@ -0,0 +1,152 @@
+/**
+ * Rate-of-Fire Worker Client
+ * Main-thread handle for rof-worker.js with cancellation of stale runs
+ *
+ * Audio is only sent to the worker when it changes; later runs on the same
+ * samples reuse the worker's cached pipeline stages.
+ */
+
+/**
+ * Raised when a run is superseded by a newer one or cancelled explicitly
+ */
+export class AnalysisCancelledError extends Error {
+  constructor() {
+    super('Analysis cancelled');
+    this.name = 'AnalysisCancelledError';
+  }
+}
+
+export class DetectorWorker {
+  constructor() {
+    this.worker = null;
+    this.nextId = 1;
+    this.pending = null; // { id, resolve, reject, onProgress }
+
+    // What the live worker currently holds
+    this.loadedSamples = null;
+    this.signals = {}; // Latest audioData/filteredAudio/envelope/thresholdCurve, updated as stages re-run
+  }
+
+  /**
+   * Analyze PCM samples in the worker
+   * Starting a run while another is in flight aborts the older one.
+   * @param {Float32Array|Array<Float32Array>} samples - Mono samples, or one array per channel, normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} parameters - RateOfFireDetector options
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Object>} {results, signals: {audioData, filteredAudio, envelope, thresholdCurve}, bursts}
+   */
+  analyze(samples, sampleRate, parameters, onProgress = null) {
+    return this.request('analyze', samples, sampleRate, parameters, onProgress);
+  }
+
+  /**
+   * Let the detector choose shot parameters from the signal (RateOfFireDetector.autoTune)
+   * Like analyze(), this aborts any run in flight.
+   * @param {Float32Array|Array<Float32Array>} samples - Mono samples, or one array per channel, normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} parameters - Current RateOfFireDetector options
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Object>} {parameters, cyclicRate, explanation}
+   */
+  autoTune(samples, sampleRate, parameters, onProgress = null) {
+    return this.request('autotune', samples, sampleRate, parameters, onProgress);
+  }
+
+  /**
+   * Spectrogram of the channel the detector analyzes (see computeSpectrogram)
+   * Like analyze(), this aborts any run in flight.
+   * @param {Float32Array|Array<Float32Array>} samples - Mono samples, or one array per channel, normalized to [-1, 1]
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} parameters - RateOfFireDetector options (channel selection and time offset)
+   * @param {Object} options - {fftSize, hopSize, dbRange}
+   * @param {Function} onProgress - Progress callback
+   * @returns {Promise<Object>} {times, frequencies, levels, dbRange, fftSize, hopSize}
+   */
+  spectrogram(samples, sampleRate, parameters, options, onProgress = null) {
+    return this.request('spectrogram', samples, sampleRate, parameters, onProgress, { options });
+  }
+
+  request(type, samples, sampleRate, parameters, onProgress, extra = {}) {
+    // A busy worker can't see new messages until its current run returns,
+    // so the only way to abort is to throw it away
+    this.cancel();
+
+    if (!this.worker) {
+      this.worker = this.createWorker();
+    }
+
+    const id = this.nextId++;
+    const message = { type, id, parameters, ...extra };
+
+    if (this.loadedSamples !== samples) {
+      message.samples = samples;
+      message.sampleRate = sampleRate;
+      this.loadedSamples = samples;
+      this.signals = {};
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { id, resolve, reject, onProgress };
+      this.worker.postMessage(message);
+    });
+  }
+
+  /**
+   * Abort the in-flight run, if any
+   */
+  cancel() {
+    if (!this.pending) return;
+
+    const { reject } = this.pending;
+    this.pending = null;
+    this.discardWorker();
+    reject(new AnalysisCancelledError());
+  }
+
+  createWorker() {
+    const worker = new Worker(new URL('./rof-worker.js', import.meta.url), { type: 'module' });
+
+    worker.addEventListener('message', (e) => {
+      const { type, id } = e.data;
+      if (!this.pending || this.pending.id !== id) return;
+
+      const { resolve, reject, onProgress } = this.pending;
+
+      if (type === 'progress') {
+        if (onProgress) onProgress(e.data.message);
+      } else if (type === 'result') {
+        this.pending = null;
+        Object.assign(this.signals, e.data.signals);
+        resolve({ results: e.data.results, signals: { ...this.signals }, bursts: e.data.bursts });
+      } else if (type === 'autotune') {
+        this.pending = null;
+        resolve(e.data.tuning);
+      } else if (type === 'spectrogram') {
+        this.pending = null;
+        resolve(e.data.spectrogram);
+      } else if (type === 'error') {
+        this.pending = null;
+        reject(new Error(e.data.message));
+      }
+    });
+
+    worker.addEventListener('error', (e) => {
+      if (!this.pending) return;
+
+      const { reject } = this.pending;
+      this.pending = null;
+      this.discardWorker();
+      reject(new Error(e.message || 'Analysis worker failed'));
+    });
+
+    return worker;
+  }
+
+  discardWorker() {
+    this.worker.terminate();
+    this.worker = null;
+    this.loadedSamples = null;
+    this.signals = {};
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Rate-of-Fire Worker
+ * Runs RateOfFireDetector off the main thread so long recordings don't freeze the page
+ *
+ * The worker keeps one detector alive between runs, so a parameter change
+ * only re-runs the pipeline stages it affects.
+ *
+ * Messages in:
+ *   { type: 'analyze', id, parameters, samples?, sampleRate? }
+ *   { type: 'autotune', id, parameters, samples?, sampleRate? }
+ *   { type: 'spectrogram', id, parameters, options, samples?, sampleRate? }
+ *     options are computeSpectrogram()'s; the spectrogram is of the selected channel
+ *     samples/sampleRate replace the loaded audio (one Float32Array per channel,
+ *     or a single mono array); omit them to reuse it
+ *
+ * Messages out:
+ *   { type: 'progress', id, message }
+ *   { type: 'result', id, results, signals, bursts }
+ *     signals only holds the arrays whose stage re-ran since the last result (see STAGE_SIGNALS)
+ *   { type: 'autotune', id, tuning }
+ *     tuning is RateOfFireDetector.autoTune()'s {parameters, cyclicRate, explanation}
+ *   { type: 'spectrogram', id, spectrogram }
+ *   { type: 'error', id, message }
+ */
+
+import { RateOfFireDetector } from './rof-detector.js';
+import { computeSpectrogram } from './spectrogram.js';
+
+// Per-sample arrays produced by each stage, sent back for plotting
+const STAGE_SIGNALS = {
+  channel: 'audioData',
+  filter: 'filteredAudio',
+  envelope: 'envelope',
+  peaks: 'thresholdCurve'
+};
+
+let detector = null;
+
+// Stages whose signals the main thread hasn't received yet; auto-tune runs
+// stages without sending anything back
+const unsentStages = new Set();
+
+self.addEventListener('message', (e) => {
+  const { type, id } = e.data;
+
+  if (type !== 'analyze' && type !== 'autotune' && type !== 'spectrogram') {
+    self.postMessage({ type: 'error', id, message: `Unknown message type: ${type}` });
+    return;
+  }
+
+  try {
+    const { samples, sampleRate, parameters } = e.data;
+
+    const onProgress = (message) => {
+      self.postMessage({ type: 'progress', id, message });
+    };
+
+    let staleStages;
+    if (samples) {
+      detector = new RateOfFireDetector(parameters);
+      detector.loadPCM(samples, sampleRate, onProgress);
+      staleStages = Object.keys(STAGE_SIGNALS);
+    } else if (detector) {
+      staleStages = detector.setParameters(parameters);
+    } else {
+      throw new Error('No audio loaded in worker');
+    }
+    staleStages.forEach(stage => unsentStages.add(stage));
+
+    if (type === 'autotune') {
+      self.postMessage({ type: 'autotune', id, tuning: detector.autoTune(onProgress) });
+      return;
+    }
+
+    if (type === 'spectrogram') {
+      detector.runThrough('channel', onProgress);
+      onProgress('Computing spectrogram...');
+      const spectrogram = computeSpectrogram(detector.audioData, detector.sampleRate, {
+        ...e.data.options,
+        timeOffset: detector.timeOffset
+      });
+      self.postMessage({ type: 'spectrogram', id, spectrogram }, spectrogram.levels.map(row => row.buffer));
+      return;
+    }
+
+    const results = detector.run(onProgress);
+
+    // The detector keeps its signals for the next run, so they have to be
+    // copied rather than transferred
+    const signals = {};
+    for (const [stage, name] of Object.entries(STAGE_SIGNALS)) {
+      if (unsentStages.has(stage)) signals[name] = detector[name];
+    }
+    unsentStages.clear();
+
+    self.postMessage({ type: 'result', id, results, signals, bursts: detector.bursts });
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: err.message });
+  }
+});
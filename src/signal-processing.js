@@ -56,6 +56,125 @@ export function median(arr) {
   return sorted[mid];
 }
 
+/**
+ * Quantile with linear interpolation between order statistics
+ * @param {Float32Array|Array} arr - Values
+ * @param {number} q - Quantile in [0, 1]
+ * @returns {number} Interpolated quantile (0 for an empty array)
+ */
+export function quantile(arr, q) {
+  if (arr.length === 0) return 0;
+  const sorted = Array.from(arr).sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * Math.min(Math.max(q, 0), 1);
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Otsu's threshold: the value that best splits data into two classes
+ * (maximum between-class variance over a histogram)
+ * @param {Float32Array|Array} values - Values to split
+ * @param {number} bins - Histogram bins (default: 64)
+ * @returns {number} Threshold; values above it form the upper class
+ */
+export function otsuThreshold(values, bins = 64) {
+  const lo = min(values);
+  const hi = max(values);
+  if (values.length === 0 || !(hi > lo)) return hi;
+
+  const width = (hi - lo) / bins;
+  const histogram = new Float64Array(bins);
+  for (let i = 0; i < values.length; i++) {
+    histogram[Math.min(Math.floor((values[i] - lo) / width), bins - 1)]++;
+  }
+
+  let totalSum = 0;
+  for (let b = 0; b < bins; b++) {
+    totalSum += b * histogram[b];
+  }
+
+  let bestBin = 0;
+  let bestVariance = -1;
+  let lowerCount = 0;
+  let lowerSum = 0;
+  for (let b = 0; b < bins - 1; b++) {
+    lowerCount += histogram[b];
+    lowerSum += b * histogram[b];
+    const upperCount = values.length - lowerCount;
+    if (lowerCount === 0 || upperCount === 0) continue;
+
+    const meanDiff = lowerSum / lowerCount - (totalSum - lowerSum) / upperCount;
+    const variance = lowerCount * upperCount * meanDiff * meanDiff;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestBin = b;
+    }
+  }
+
+  return lo + (bestBin + 1) * width;
+}
+
+/**
+ * Rolling median and median absolute deviation over a centered window
+ * Exact statistics are taken every `hopSamples` and linearly interpolated
+ * in between, so the cost is one sort per hop instead of one per sample.
+ * @param {Float32Array|Array} data - Input signal
+ * @param {number} windowSamples - Window length in samples
+ * @param {number} hopSamples - Spacing of exact evaluations (default: windowSamples / 8)
+ * @returns {Object} {median: Float32Array, mad: Float32Array}, same length as data
+ */
+export function rollingMedianMad(data, windowSamples, hopSamples = windowSamples / 8) {
+  const n = data.length;
+  const half = Math.max(Math.floor(windowSamples / 2), 1);
+  const hop = Math.max(Math.floor(hopSamples), 1);
+  const medianOut = new Float32Array(n);
+  const madOut = new Float32Array(n);
+  if (n === 0) return { median: medianOut, mad: madOut };
+
+  const sortedMedian = (values) => {
+    values.sort();
+    const mid = values.length >> 1;
+    return values.length % 2 === 0 ? (values[mid - 1] + values[mid]) / 2 : values[mid];
+  };
+
+  // Exact statistics at grid points 0, hop, 2*hop, ... and the last sample
+  const grid = [];
+  for (let i = 0; i < n; i += hop) grid.push(i);
+  if (grid[grid.length - 1] !== n - 1) grid.push(n - 1);
+
+  const medians = new Float64Array(grid.length);
+  const mads = new Float64Array(grid.length);
+  for (let g = 0; g < grid.length; g++) {
+    const start = Math.max(grid[g] - half, 0);
+    const window = new Float32Array(Math.min(grid[g] + half + 1, n) - start);
+    for (let i = 0; i < window.length; i++) {
+      window[i] = data[start + i];
+    }
+
+    const center = sortedMedian(window);
+    for (let i = 0; i < window.length; i++) {
+      window[i] = Math.abs(window[i] - center);
+    }
+    medians[g] = center;
+    mads[g] = sortedMedian(window);
+  }
+
+  for (let g = 0; g < grid.length - 1; g++) {
+    const start = grid[g];
+    const span = grid[g + 1] - start;
+    for (let i = start; i < grid[g + 1]; i++) {
+      const t = (i - start) / span;
+      medianOut[i] = medians[g] + t * (medians[g + 1] - medians[g]);
+      madOut[i] = mads[g] + t * (mads[g + 1] - mads[g]);
+    }
+  }
+  medianOut[n - 1] = medians[grid.length - 1];
+  madOut[n - 1] = mads[grid.length - 1];
+
+  return { median: medianOut, mad: madOut };
+}
+
 /**
  * Array Operations
  */
@@ -79,140 +198,857 @@ export function diff(arr) {
 
 /**
  * Convolution
- * Implements 1D convolution with 'same' mode
+ * Implements 1D convolution with 'same' mode (output centered like numpy.convolve)
+ * Short kernels use a direct loop; longer ones switch to FFT convolution.
  */
+const DIRECT_CONVOLVE_MAX_KERNEL = 64;
+
 export function convolve(signal, kernel, mode = 'same') {
+  if (mode !== 'same') {
+    throw new Error('Only "same" mode is currently supported');
+  }
+
   const signalLen = signal.length;
   const kernelLen = kernel.length;
 
+  if (kernelLen > DIRECT_CONVOLVE_MAX_KERNEL) {
+    return fftConvolve(signal, kernel, mode);
+  }
+
+  const result = new Float32Array(signalLen);
+  const offset = (kernelLen - 1) >> 1;
+
+  for (let i = 0; i < signalLen; i++) {
+    let sum = 0;
+
+    for (let j = 0; j < kernelLen; j++) {
+      const signalIdx = i + offset - j;
+      if (signalIdx >= 0 && signalIdx < signalLen) {
+        sum += signal[signalIdx] * kernel[j];
+      }
+    }
+
+    result[i] = sum;
+  }
+
+  return result;
+}
+
+/**
+ * FFT Convolution
+ * Overlap-add convolution for arbitrary kernels in O(N log K)
+ *
+ * @param {Float32Array|Array} signal - Input signal
+ * @param {Float32Array|Array} kernel - Filter kernel
+ * @param {string} mode - 'same' (centered, length of signal) or 'full'
+ * @returns {Float32Array} Convolved signal
+ */
+export function fftConvolve(signal, kernel, mode = 'same') {
+  const signalLen = signal.length;
+  const kernelLen = kernel.length;
+
+  let outputLen;
+  let outputStart;
   if (mode === 'same') {
-    const result = new Float32Array(signalLen);
-    const halfKernel = Math.floor(kernelLen / 2);
+    outputLen = signalLen;
+    outputStart = (kernelLen - 1) >> 1;
+  } else if (mode === 'full') {
+    outputLen = signalLen + kernelLen - 1;
+    outputStart = 0;
+  } else {
+    throw new Error(`Unsupported convolution mode: ${mode}`);
+  }
 
-    for (let i = 0; i < signalLen; i++) {
-      let sum = 0;
-      let count = 0;
+  const result = new Float32Array(outputLen);
+  if (signalLen === 0 || kernelLen === 0) return result;
 
-      for (let j = 0; j < kernelLen; j++) {
-        const signalIdx = i - halfKernel + j;
-        if (signalIdx >= 0 && signalIdx < signalLen) {
-          sum += signal[signalIdx] * kernel[j];
-          count++;
-        }
+  // Blocks several times longer than the kernel keep the FFT overhead low
+  const fftSize = nextPow2(Math.max(4 * kernelLen, 1024));
+  const blockLen = fftSize - kernelLen + 1;
+
+  const kernelRe = new Float64Array(fftSize);
+  const kernelIm = new Float64Array(fftSize);
+  kernelRe.set(kernel);
+  fft(kernelRe, kernelIm);
+
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+
+  for (let blockStart = 0; blockStart < signalLen; blockStart += blockLen) {
+    const blockEnd = Math.min(blockStart + blockLen, signalLen);
+
+    re.fill(0);
+    im.fill(0);
+    for (let i = blockStart; i < blockEnd; i++) {
+      re[i - blockStart] = signal[i];
+    }
+
+    fft(re, im);
+    for (let k = 0; k < fftSize; k++) {
+      const r = re[k] * kernelRe[k] - im[k] * kernelIm[k];
+      im[k] = re[k] * kernelIm[k] + im[k] * kernelRe[k];
+      re[k] = r;
+    }
+    fft(re, im, true);
+
+    // Add this block's tail into the output, shifted to the requested mode
+    const usable = blockEnd - blockStart + kernelLen - 1;
+    for (let k = 0; k < usable; k++) {
+      const outIdx = blockStart + k - outputStart;
+      if (outIdx >= 0 && outIdx < outputLen) {
+        result[outIdx] += re[k];
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Fast Fourier Transform
+ * In-place iterative radix-2 FFT; the length must be a power of two.
+ * The inverse transform is scaled by 1/n.
+ *
+ * @param {Float64Array} re - Real parts (overwritten)
+ * @param {Float64Array} im - Imaginary parts (overwritten)
+ * @param {boolean} inverse - Compute the inverse transform
+ */
+export function fft(re, im, inverse = false) {
+  const n = re.length;
+  if (n !== im.length) {
+    throw new Error('Real and imaginary parts must have the same length');
+  }
+  if (n <= 1) return;
+  if ((n & (n - 1)) !== 0) {
+    throw new Error(`FFT length must be a power of two, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+
+  // Twiddle factors for the full length; smaller stages stride through them
+  const sign = inverse ? 1 : -1;
+  const { cosTable, sinTable } = twiddleFactors(n);
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const stride = n / size;
+
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wRe = cosTable[k * stride];
+        const wIm = sign * sinTable[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
       }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+// Framewise transforms reuse the same size thousands of times
+const twiddleCache = new Map();
+
+function twiddleFactors(n) {
+  let tables = twiddleCache.get(n);
+  if (!tables) {
+    const cosTable = new Float64Array(n >> 1);
+    const sinTable = new Float64Array(n >> 1);
+    for (let k = 0; k < n >> 1; k++) {
+      cosTable[k] = Math.cos((2 * Math.PI * k) / n);
+      sinTable[k] = Math.sin((2 * Math.PI * k) / n);
+    }
+    tables = { cosTable, sinTable };
+    twiddleCache.set(n, tables);
+  }
+  return tables;
+}
+
+/**
+ * Short-Time Fourier Transform
+ * Streams magnitude spectra frame by frame instead of storing them, so long
+ * recordings don't need a frames x bins matrix in memory.
+ *
+ * @param {Float32Array|Array} data - Input signal
+ * @param {Object} options - STFT options
+ * @param {number} options.fftSize - Frame length, a power of two (default: 1024)
+ * @param {number} options.hopSize - Samples between frame starts (default: fftSize / 4)
+ * @param {Function} onFrame - Called as onFrame(magnitudes, frameIndex, frameStart);
+ *   magnitudes holds fftSize / 2 + 1 bins and is reused between calls
+ * @returns {number} Number of frames
+ */
+export function stft(data, options = {}, onFrame) {
+  const { fftSize = 1024, hopSize = fftSize / 4 } = options;
+  const window = hann(fftSize);
+  const binCount = (fftSize >> 1) + 1;
+  const frameCount = Math.max(Math.floor((data.length - fftSize) / hopSize) + 1, 1);
+
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  const magnitudes = new Float32Array(binCount);
 
-      result[i] = sum;
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * hopSize;
+
+    for (let i = 0; i < fftSize; i++) {
+      const idx = start + i;
+      re[i] = idx < data.length ? data[idx] * window[i] : 0;
+      im[i] = 0;
+    }
+
+    fft(re, im);
+    for (let k = 0; k < binCount; k++) {
+      magnitudes[k] = Math.hypot(re[k], im[k]);
     }
 
-    return result;
+    onFrame(magnitudes, frame, start);
+  }
+
+  return frameCount;
+}
+
+/**
+ * Periodic Hann window, as used for spectral analysis
+ */
+export function hann(n) {
+  const window = new Float32Array(n);
+  for (let i = 0; i < n; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / n);
   }
+  return window;
+}
 
-  throw new Error('Only "same" mode is currently supported');
+/**
+ * Smallest power of two greater than or equal to n
+ */
+export function nextPow2(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+/**
+ * IIR Filters
+ * Second-order sections (biquads) from the RBJ Audio EQ Cookbook,
+ * cascaded for higher-order Butterworth responses.
+ * A section is {b0, b1, b2, a1, a2}, normalized so that a0 = 1.
+ */
+export const BIQUAD_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+
+/**
+ * Design a single biquad section
+ * @param {string} type - One of BIQUAD_TYPES
+ * @param {number} frequency - Cutoff (lowpass/highpass) or center (bandpass/notch) frequency in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} q - Quality factor (default: 1/sqrt(2), Butterworth)
+ * @returns {Object} {b0, b1, b2, a1, a2}
+ */
+export function biquad(type, frequency, sampleRate, q = Math.SQRT1_2) {
+  if (!(frequency > 0 && frequency < sampleRate / 2)) {
+    throw new Error(`Filter frequency must be between 0 and ${sampleRate / 2} Hz, got ${frequency}`);
+  }
+  if (!(q > 0)) {
+    throw new Error(`Filter Q must be positive, got ${q}`);
+  }
+
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const cosW0 = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+
+  let b0, b1, b2;
+  switch (type) {
+    case 'lowpass':
+      b0 = (1 - cosW0) / 2;
+      b1 = 1 - cosW0;
+      b2 = (1 - cosW0) / 2;
+      break;
+    case 'highpass':
+      b0 = (1 + cosW0) / 2;
+      b1 = -(1 + cosW0);
+      b2 = (1 + cosW0) / 2;
+      break;
+    case 'bandpass':
+      // Constant 0 dB peak gain
+      b0 = alpha;
+      b1 = 0;
+      b2 = -alpha;
+      break;
+    case 'notch':
+      b0 = 1;
+      b1 = -2 * cosW0;
+      b2 = 1;
+      break;
+    default:
+      throw new Error(`Unknown biquad type: ${type}`);
+  }
+
+  const a0 = 1 + alpha;
+  return {
+    b0: b0 / a0,
+    b1: b1 / a0,
+    b2: b2 / a0,
+    a1: (-2 * cosW0) / a0,
+    a2: (1 - alpha) / a0
+  };
+}
+
+/**
+ * Design a Butterworth lowpass/highpass filter as a cascade of biquads
+ * @param {string} type - 'lowpass' or 'highpass'
+ * @param {number} order - Filter order; odd orders are rounded up
+ * @param {number} frequency - -3 dB cutoff in Hz
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} Biquad sections
+ */
+export function butterworth(type, order, frequency, sampleRate) {
+  if (type !== 'lowpass' && type !== 'highpass') {
+    throw new Error(`Butterworth filters must be lowpass or highpass, got ${type}`);
+  }
+
+  const sectionCount = Math.max(Math.ceil(order / 2), 1);
+  const poleCount = sectionCount * 2;
+  const sections = [];
+
+  // Each section takes one conjugate pole pair of the Butterworth prototype
+  for (let k = 0; k < sectionCount; k++) {
+    const q = 1 / (2 * Math.cos(((2 * k + 1) * Math.PI) / (2 * poleCount)));
+    sections.push(biquad(type, frequency, sampleRate, q));
+  }
+
+  return sections;
+}
+
+/**
+ * Run a signal through a cascade of biquad sections
+ * Uses transposed direct form II, like scipy.signal.sosfilt
+ * @param {Array<Object>} sections - Biquad sections
+ * @param {Float32Array|Array} data - Input signal
+ * @returns {Float32Array} Filtered signal
+ */
+export function sosfilt(sections, data) {
+  const result = Float32Array.from(data);
+
+  for (const { b0, b1, b2, a1, a2 } of sections) {
+    let z1 = 0;
+    let z2 = 0;
+
+    for (let i = 0; i < result.length; i++) {
+      const x = result[i];
+      const y = b0 * x + z1;
+      z1 = b1 * x - a1 * y + z2;
+      z2 = b2 * x - a2 * y;
+      result[i] = y;
+    }
+  }
+
+  return result;
 }
 
 /**
  * Peak Detection
  * Reimplementation of scipy.signal.find_peaks
  *
+ * Each condition accepts a number (minimum), a [min, max] pair where either
+ * bound may be null, or an array holding one minimum per sample of `data`.
+ * Properties are only computed for the conditions that are given, as in scipy.
+ *
  * @param {Float32Array|Array} data - The signal data
  * @param {Object} options - Peak detection options
- * @param {number} options.height - Minimum peak height
+ * @param {number|Array} options.height - Required peak height
+ * @param {number|Array} options.threshold - Required vertical distance to both neighbors
  * @param {number} options.distance - Minimum distance between peaks (in samples)
- * @param {number} options.prominence - Minimum prominence (relative to max signal)
+ * @param {number|Array} options.prominence - Required prominence
+ * @param {number|Array} options.width - Required width (in samples)
+ * @param {number} options.wlen - Window length (in samples) for prominence, unbounded by default
+ * @param {number} options.relHeight - Relative height at which width is measured (default: 0.5)
+ * @param {number|Array} options.plateauSize - Required flat-top size (in samples)
  * @returns {Object} {peaks: Array<number>, properties: Object}
  */
 export function findPeaks(data, options = {}) {
   const {
-    height = -Infinity,
-    distance = 1,
-    prominence = 0
+    height,
+    threshold,
+    distance,
+    prominence,
+    width,
+    wlen,
+    relHeight = 0.5,
+    plateauSize
   } = options;
 
-  const n = data.length;
-  if (n < 3) return { peaks: [], properties: { heights: [] } };
+  if (distance !== undefined && distance < 1) {
+    throw new Error('`distance` must be greater or equal to 1');
+  }
+  if (relHeight < 0) {
+    throw new Error('`relHeight` must be greater or equal to 0');
+  }
 
-  // Step 1: Find local maxima (points higher than both neighbors)
-  const localMaxima = [];
-  for (let i = 1; i < n - 1; i++) {
-    if (data[i] > data[i - 1] && data[i] > data[i + 1]) {
-      localMaxima.push(i);
+  const { peaks: maxima, leftEdges, rightEdges } = localMaxima(data);
+  let peaks = maxima;
+  const properties = {};
+
+  // Drop peaks (and their already-computed properties) where keep[i] is false
+  const select = (keep) => {
+    peaks = peaks.filter((_, i) => keep[i]);
+    for (const key of Object.keys(properties)) {
+      properties[key] = properties[key].filter((_, i) => keep[i]);
     }
+  };
+
+  if (plateauSize !== undefined) {
+    properties.plateauSizes = peaks.map((_, i) => rightEdges[i] - leftEdges[i] + 1);
+    properties.leftEdges = leftEdges;
+    properties.rightEdges = rightEdges;
+    select(selectByProperty(properties.plateauSizes, plateauSize, peaks));
   }
 
-  // Step 2: Filter by height threshold
-  const heightFiltered = localMaxima.filter(idx => data[idx] >= height);
+  if (height !== undefined) {
+    properties.peakHeights = peaks.map(idx => data[idx]);
+    select(selectByProperty(properties.peakHeights, height, peaks));
+  }
 
-  // Step 3: Calculate prominence and filter
-  let prominenceFiltered = heightFiltered;
-  if (prominence > 0) {
-    const maxSignal = max(data);
-    const minProminence = prominence * maxSignal;
+  if (threshold !== undefined) {
+    properties.leftThresholds = peaks.map(idx => data[idx] - data[idx - 1]);
+    properties.rightThresholds = peaks.map(idx => data[idx] - data[idx + 1]);
+    const keepLeft = selectByProperty(properties.leftThresholds, threshold, peaks);
+    const keepRight = selectByProperty(properties.rightThresholds, threshold, peaks);
+    select(keepLeft.map((keep, i) => keep && keepRight[i]));
+  }
 
-    prominenceFiltered = heightFiltered.filter(idx => {
-      const peakHeight = data[idx];
+  if (distance !== undefined) {
+    select(selectByPeakDistance(peaks, peaks.map(idx => data[idx]), Math.ceil(distance)));
+  }
 
-      // Find the lowest point between this peak and the next higher peak
-      // on both sides (simplified prominence calculation)
-      let leftMin = peakHeight;
-      let rightMin = peakHeight;
+  if (prominence !== undefined || width !== undefined) {
+    Object.assign(properties, peakProminences(data, peaks, wlen));
+    if (prominence !== undefined) {
+      select(selectByProperty(properties.prominences, prominence, peaks));
+    }
+  }
+
+  if (width !== undefined) {
+    Object.assign(properties, peakWidths(data, peaks, relHeight, properties));
+    select(selectByProperty(properties.widths, width, peaks));
+  }
 
-      // Look left
-      for (let i = idx - 1; i >= 0; i--) {
-        if (data[i] < leftMin) leftMin = data[i];
-        if (data[i] >= peakHeight) break;
+  return { peaks, properties };
+}
+
+/**
+ * Find local maxima, treating flat tops as a single peak at their middle
+ * @returns {Object} {peaks, leftEdges, rightEdges}
+ */
+export function localMaxima(data) {
+  const peaks = [];
+  const leftEdges = [];
+  const rightEdges = [];
+  const iMax = data.length - 1;
+
+  let i = 1;
+  while (i < iMax) {
+    if (data[i - 1] < data[i]) {
+      // Walk across a plateau, if any
+      let iAhead = i + 1;
+      while (iAhead < iMax && data[iAhead] === data[i]) {
+        iAhead++;
       }
 
-      // Look right
-      for (let i = idx + 1; i < n; i++) {
-        if (data[i] < rightMin) rightMin = data[i];
-        if (data[i] >= peakHeight) break;
+      if (data[iAhead] < data[i]) {
+        leftEdges.push(i);
+        rightEdges.push(iAhead - 1);
+        peaks.push(Math.floor((i + iAhead - 1) / 2));
+        i = iAhead;
       }
+    }
+    i++;
+  }
+
+  return { peaks, leftEdges, rightEdges };
+}
+
+/**
+ * Move peaks to the middle of near-flat tops
+ * localMaxima only merges samples of exactly equal value, but a clipped
+ * transient smoothed into an envelope tops out in a plateau with tiny ripple,
+ * whose highest sample can sit anywhere along it. Each peak is widened to
+ * the run of samples within `relTolerance` of its height (at most `maxRadius`
+ * samples either side) and moved to the run's middle.
+ *
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices, ascending
+ * @param {number} relTolerance - Fraction of the peak height that still counts as flat
+ * @param {number} maxRadius - Largest distance a peak may move (in samples)
+ * @returns {Array<number>} Adjusted peak indices
+ */
+export function plateauCenters(data, peaks, relTolerance, maxRadius) {
+  return peaks.map(peak => {
+    const floor = data[peak] - Math.abs(data[peak]) * relTolerance;
+
+    let left = peak;
+    while (left > 0 && peak - left < maxRadius && data[left - 1] >= floor) left--;
+    let right = peak;
+    while (right < data.length - 1 && right - peak < maxRadius && data[right + 1] >= floor) right++;
+
+    return Math.floor((left + right) / 2);
+  });
+}
 
-      const prominenceValue = peakHeight - Math.max(leftMin, rightMin);
-      return prominenceValue >= minProminence;
-    });
+// Peak interpolation methods accepted by interpolatePeaks()
+export const PEAK_INTERPOLATIONS = ['none', 'parabolic', 'sinc'];
+
+const SINC_LOBES = 8; // Lanczos kernel half-width in samples
+const SINC_STEPS = 32; // Grid points per half sample searched by sinc interpolation
+
+function lanczos(x) {
+  if (x === 0) return 1;
+  if (Math.abs(x) >= SINC_LOBES) return 0;
+  const px = Math.PI * x;
+  return (SINC_LOBES * Math.sin(px) * Math.sin(px / SINC_LOBES)) / (px * px);
+}
+
+/**
+ * Sub-sample peak positions
+ * 'parabolic' fits a parabola through each peak and its two neighbors;
+ * 'sinc' reconstructs the signal with a Lanczos-windowed sinc and takes its
+ * maximum on a fine grid within half a sample of the peak. Both stay within
+ * half a sample of the integer peak.
+ *
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices
+ * @param {string} method - One of PEAK_INTERPOLATIONS (default: 'parabolic')
+ * @returns {Array<number>} Fractional peak indices
+ */
+export function interpolatePeaks(data, peaks, method = 'parabolic') {
+  if (!PEAK_INTERPOLATIONS.includes(method)) {
+    throw new Error(`Unknown peak interpolation: ${method}`);
   }
+  if (method === 'none') return Array.from(peaks);
 
-  // Step 4: Filter by distance (suppress nearby peaks, keep highest)
-  const peaks = [];
-  if (prominenceFiltered.length === 0) {
-    return { peaks: [], properties: { heights: [] } };
+  return Array.from(peaks, peak => {
+    if (peak <= 0 || peak >= data.length - 1) return peak;
+
+    if (method === 'parabolic') {
+      const [a, b, c] = [data[peak - 1], data[peak], data[peak + 1]];
+      const curvature = a - 2 * b + c;
+      if (curvature >= 0) return peak; // flat or not a maximum
+      return peak + Math.min(Math.max((0.5 * (a - c)) / curvature, -0.5), 0.5);
+    }
+
+    const first = Math.max(peak - SINC_LOBES, 0);
+    const last = Math.min(peak + SINC_LOBES, data.length - 1);
+    const valueAt = (x) => {
+      let sum = 0;
+      for (let i = first; i <= last; i++) sum += data[i] * lanczos(x - i);
+      return sum;
+    };
+
+    let best = peak;
+    let bestValue = data[peak];
+    for (let step = -SINC_STEPS; step <= SINC_STEPS; step++) {
+      const x = peak + step / (2 * SINC_STEPS);
+      const value = valueAt(x);
+      if (value > bestValue) {
+        best = x;
+        bestValue = value;
+      }
+    }
+    return best;
+  });
+}
+
+/**
+ * Fractional index where the signal rises through a level before each peak
+ * Walks back from the peak to the first sample below its level (at most
+ * `maxDistance` samples) and interpolates linearly to the crossing; a peak
+ * without a crossing in range keeps its own index.
+ *
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices
+ * @param {Array<number>} levels - Crossing level for each peak
+ * @param {number} maxDistance - Furthest the crossing may be before the peak (in samples)
+ * @returns {Array<number>} Fractional crossing indices
+ */
+export function risingCrossings(data, peaks, levels, maxDistance) {
+  return Array.from(peaks, (peak, p) => {
+    const level = levels[p];
+    const stop = Math.max(peak - maxDistance, 0);
+    for (let i = peak - 1; i >= stop; i--) {
+      if (data[i] < level) {
+        return i + (level - data[i]) / (data[i + 1] - data[i]);
+      }
+    }
+    return peak;
+  });
+}
+
+/**
+ * Leading edge of each peak
+ * The tangent at the steepest point of the rise is extended back to the
+ * rise's base, the lowest sample in the `maxDistance` samples before the
+ * peak. Unlike the maximum, this doesn't move with how long the transient
+ * takes to build up.
+ *
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices
+ * @param {number} maxDistance - How far back the rise is searched (in samples)
+ * @returns {Array<number>} Fractional leading-edge indices
+ */
+export function leadingEdges(data, peaks, maxDistance) {
+  return Array.from(peaks, peak => {
+    const stop = Math.max(peak - maxDistance, 0);
+
+    let baseIdx = peak;
+    for (let i = peak - 1; i >= stop; i--) {
+      if (data[i] < data[baseIdx]) baseIdx = i;
+    }
+
+    let steepest = -1;
+    let slope = 0;
+    for (let i = baseIdx; i < peak; i++) {
+      if (data[i + 1] - data[i] > slope) {
+        slope = data[i + 1] - data[i];
+        steepest = i;
+      }
+    }
+    if (steepest < 0) return peak;
+
+    const edge = steepest - (data[steepest] - data[baseIdx]) / slope;
+    return Math.max(edge, baseIdx);
+  });
+}
+
+/**
+ * Prominence of each peak and the bases it is measured from
+ * Matches scipy.signal.peak_prominences. Without a window the bases are
+ * found with a monotonic stack, so the cost is linear in the signal length
+ * no matter how far apart the higher peaks are.
+ *
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices, ascending
+ * @param {number} wlen - Optional window length (in samples) to search for bases
+ * @returns {Object} {prominences, leftBases, rightBases}
+ */
+export function peakProminences(data, peaks, wlen) {
+  const n = data.length;
+  const count = peaks.length;
+  const leftMins = new Array(count);
+  const leftBases = new Array(count);
+  const rightMins = new Array(count);
+  const rightBases = new Array(count);
+
+  if (wlen !== undefined && wlen !== null) {
+    const window = Math.ceil(wlen);
+    if (!(window > 1)) {
+      throw new Error('`wlen` must be larger than 1');
+    }
+    const half = Math.floor(window / 2);
+
+    for (let p = 0; p < count; p++) {
+      const peak = peaks[p];
+      const peakHeight = data[peak];
+      const iMin = Math.max(peak - half, 0);
+      const iMax = Math.min(peak + half, n - 1);
+
+      leftBases[p] = peak;
+      leftMins[p] = peakHeight;
+      for (let i = peak; i >= iMin && data[i] <= peakHeight; i--) {
+        if (data[i] < leftMins[p]) {
+          leftMins[p] = data[i];
+          leftBases[p] = i;
+        }
+      }
+
+      rightBases[p] = peak;
+      rightMins[p] = peakHeight;
+      for (let i = peak; i <= iMax && data[i] <= peakHeight; i++) {
+        if (data[i] < rightMins[p]) {
+          rightMins[p] = data[i];
+          rightBases[p] = i;
+        }
+      }
+    }
+  } else {
+    scanBases(data, peaks, 1, leftMins, leftBases);
+    scanBases(data, peaks, -1, rightMins, rightBases);
   }
 
-  // Sort by height (descending) to prioritize higher peaks
-  const sortedByHeight = prominenceFiltered
-    .map(idx => ({ idx, height: data[idx] }))
-    .sort((a, b) => b.height - a.height);
+  const prominences = new Array(count);
+  for (let p = 0; p < count; p++) {
+    prominences[p] = data[peaks[p]] - Math.max(leftMins[p], rightMins[p]);
+  }
+
+  return { prominences, leftBases, rightBases };
+}
+
+/**
+ * For every peak, find the lowest sample between it and the nearest strictly
+ * higher sample on one side (or the signal edge).
+ * Sweeps in `direction` (1 = left-to-right, finding left bases) keeping a stack
+ * of strictly decreasing samples; each entry remembers the minimum of the
+ * stretch it absorbed, so popping merges those minima in O(1).
+ * On ties the base closest to the peak wins, as in scipy's linear scan.
+ */
+function scanBases(data, peaks, direction, mins, bases) {
+  const n = data.length;
+  const stackIdx = [];
+  const stackMin = [];
+  const stackMinIdx = [];
+
+  let p = direction > 0 ? 0 : peaks.length - 1;
+  const start = direction > 0 ? 0 : n - 1;
 
-  const used = new Set();
+  for (let i = start; i >= 0 && i < n; i += direction) {
+    const value = data[i];
+    let minVal = value;
+    let minIdx = i;
 
-  for (const { idx } of sortedByHeight) {
-    // Check if this peak is too close to any already selected peak
-    let tooClose = false;
-    for (const existingPeak of peaks) {
-      if (Math.abs(idx - existingPeak) < distance) {
-        tooClose = true;
-        break;
+    // Everything not higher than this sample is now hidden behind it
+    while (stackIdx.length > 0 && data[stackIdx[stackIdx.length - 1]] <= value) {
+      stackIdx.pop();
+      const poppedMin = stackMin.pop();
+      const poppedMinIdx = stackMinIdx.pop();
+      if (poppedMin < minVal) {
+        minVal = poppedMin;
+        minIdx = poppedMinIdx;
       }
     }
 
-    if (!tooClose) {
-      peaks.push(idx);
+    stackIdx.push(i);
+    stackMin.push(minVal);
+    stackMinIdx.push(minIdx);
+
+    if (p >= 0 && p < peaks.length && peaks[p] === i) {
+      mins[p] = minVal;
+      bases[p] = minIdx;
+      p += direction;
     }
   }
+}
 
-  // Sort peaks by position
-  peaks.sort((a, b) => a - b);
+/**
+ * Width of each peak at `relHeight` of its prominence
+ * Matches scipy.signal.peak_widths, with linear interpolation between samples.
+ *
+ * @param {Float32Array|Array} data - The signal data
+ * @param {Array<number>} peaks - Peak indices
+ * @param {number} relHeight - Relative height (0.5 = half prominence)
+ * @param {Object} prominenceData - {prominences, leftBases, rightBases} from peakProminences
+ * @returns {Object} {widths, widthHeights, leftIps, rightIps}
+ */
+export function peakWidths(data, peaks, relHeight = 0.5, prominenceData = null) {
+  const { prominences, leftBases, rightBases } = prominenceData ?? peakProminences(data, peaks);
+  const count = peaks.length;
+  const widths = new Array(count);
+  const widthHeights = new Array(count);
+  const leftIps = new Array(count);
+  const rightIps = new Array(count);
 
-  // Extract properties
-  const heights = peaks.map(idx => data[idx]);
+  for (let p = 0; p < count; p++) {
+    const peak = peaks[p];
+    const iMin = leftBases[p];
+    const iMax = rightBases[p];
+    const evalHeight = data[peak] - prominences[p] * relHeight;
+    widthHeights[p] = evalHeight;
 
-  return {
-    peaks,
-    properties: {
-      heights
+    // Intersection point on the left side
+    let i = peak;
+    while (iMin < i && evalHeight < data[i]) {
+      i--;
     }
-  };
+    let leftIp = i;
+    if (data[i] < evalHeight) {
+      leftIp += (evalHeight - data[i]) / (data[i + 1] - data[i]);
+    }
+
+    // Intersection point on the right side
+    i = peak;
+    while (i < iMax && evalHeight < data[i]) {
+      i++;
+    }
+    let rightIp = i;
+    if (data[i] < evalHeight) {
+      rightIp -= (evalHeight - data[i]) / (data[i - 1] - data[i]);
+    }
+
+    widths[p] = rightIp - leftIp;
+    leftIps[p] = leftIp;
+    rightIps[p] = rightIp;
+  }
+
+  return { widths, widthHeights, leftIps, rightIps };
+}
+
+/**
+ * Evaluate a findPeaks condition against one property per peak
+ */
+function selectByProperty(values, condition, peaks) {
+  let lower = condition;
+  let upper = null;
+
+  if (Array.isArray(condition) && condition.length === 2) {
+    [lower, upper] = condition;
+  }
+
+  // Per-sample bounds are looked up at each peak's position
+  const bound = (b, i) => (b !== null && typeof b === 'object' ? b[peaks[i]] : b);
+
+  return values.map((value, i) => {
+    const min = bound(lower, i);
+    const max = bound(upper, i);
+    return (min === null || min === undefined || min <= value) &&
+      (max === null || max === undefined || value <= max);
+  });
+}
+
+/**
+ * Suppress peaks closer than `distance` to a higher one
+ * Peaks are visited from highest to lowest; each survivor removes its
+ * neighbors within range, so the cost is proportional to the peaks removed.
+ */
+function selectByPeakDistance(peaks, priority, distance) {
+  const count = peaks.length;
+  const keep = new Array(count).fill(true);
+
+  // Ascending stable order; ties favor the later peak, as in scipy
+  const order = peaks.map((_, i) => i).sort((a, b) => priority[a] - priority[b]);
+
+  for (let o = count - 1; o >= 0; o--) {
+    const j = order[o];
+    if (!keep[j]) continue;
+
+    for (let k = j - 1; k >= 0 && peaks[j] - peaks[k] < distance; k--) {
+      keep[k] = false;
+    }
+    for (let k = j + 1; k < count && peaks[k] - peaks[j] < distance; k++) {
+      keep[k] = false;
+    }
+  }
+
+  return keep;
 }
 
 /**
@@ -0,0 +1,107 @@
+/**
+ * Signal Quality
+ * Clipping, noise floor, SNR and dynamic range of a recording, with warnings
+ * for conditions that make shot detection unreliable
+ */
+
+const FRAME_DURATION = 0.01; // seconds per RMS frame
+const NOISE_PERCENTILE = 0.2; // quiet frames between shots
+const SIGNAL_PERCENTILE = 0.995; // the loudest frames, i.e. the shots
+
+// A sample is clipped when it sits within CLIP_MARGIN of the recording's
+// peak level in a run of at least MIN_CLIP_RUN samples; phone audio often
+// clips below full scale after lossy encoding, so full scale can't be assumed
+const CLIP_MARGIN = 0.01;
+const MIN_CLIP_RUN = 3;
+
+// Warning limits
+const CLIPPED_PERCENT_LIMIT = 0.1;
+const SNR_LIMIT_DB = 10;
+const DYNAMIC_RANGE_LIMIT_DB = 20;
+
+const toDb = (level) => 20 * Math.log10(Math.max(level, 1e-12));
+
+/**
+ * Fraction of samples in clipped runs, and the level they clip at
+ */
+function measureClipping(samples) {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+
+  const clipLevel = peak * (1 - CLIP_MARGIN);
+  let clipped = 0;
+  let run = 0;
+  for (let i = 0; i <= samples.length; i++) {
+    if (i < samples.length && peak > 0 && Math.abs(samples[i]) >= clipLevel) {
+      run++;
+    } else {
+      if (run >= MIN_CLIP_RUN) clipped += run;
+      run = 0;
+    }
+  }
+
+  return { peak, clippedFraction: clipped / samples.length };
+}
+
+/**
+ * Measure a recording's quality
+ * Levels come from RMS over 10 ms frames: the noise floor is the 20th
+ * percentile frame, the signal level the 99.5th (the shots).
+ * @param {Float32Array} samples - Samples normalized to [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} {clippedPercent, clippedFraction, peakDb, noiseFloorDb, signalDb, snrDb, dynamicRangeDb, warnings: Array<string>}
+ */
+export function assessSignalQuality(samples, sampleRate) {
+  const frameLength = Math.max(Math.round(FRAME_DURATION * sampleRate), 1);
+  const numFrames = Math.max(Math.floor(samples.length / frameLength), 1);
+  const frames = new Float64Array(numFrames);
+
+  for (let f = 0; f < numFrames; f++) {
+    const start = f * frameLength;
+    const end = Math.min(start + frameLength, samples.length);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += samples[i] * samples[i];
+    }
+    frames[f] = Math.sqrt(sum / Math.max(end - start, 1));
+  }
+
+  frames.sort();
+  const at = (p) => frames[Math.min(Math.floor(p * numFrames), numFrames - 1)];
+
+  const { peak, clippedFraction } = measureClipping(samples);
+  const peakDb = toDb(peak);
+  const noiseFloorDb = toDb(at(NOISE_PERCENTILE));
+  const signalDb = toDb(at(SIGNAL_PERCENTILE));
+
+  const quality = {
+    clippedPercent: clippedFraction * 100,
+    clippedFraction,
+    peakDb,
+    noiseFloorDb,
+    signalDb,
+    snrDb: signalDb - noiseFloorDb,
+    dynamicRangeDb: peakDb - noiseFloorDb,
+    warnings: []
+  };
+
+  if (quality.clippedPercent > CLIPPED_PERCENT_LIMIT) {
+    quality.warnings.push(
+      `${quality.clippedPercent.toFixed(2)}% of samples are clipped; shot peaks are flattened, so peak heights are unreliable and shot times may shift`
+    );
+  }
+  if (quality.snrDb < SNR_LIMIT_DB) {
+    quality.warnings.push(
+      `Shots are only ${quality.snrDb.toFixed(1)} dB above the noise floor; expect missed shots or noise detected as shots`
+    );
+  }
+  if (quality.dynamicRangeDb < DYNAMIC_RANGE_LIMIT_DB) {
+    quality.warnings.push(
+      `Only ${quality.dynamicRangeDb.toFixed(1)} dB of dynamic range; heavy compression or automatic gain control may be hiding shots`
+    );
+  }
+
+  return quality;
+}
@@ -0,0 +1,78 @@
+/**
+ * Spectrogram
+ * STFT magnitude in dB for plotting, reduced to a size Plotly can draw
+ */
+
+import { stft } from './signal-processing.js';
+
+// Larger spectrograms are max-pooled down to this many frames and bins; max
+// rather than mean so a single-frame transient still shows
+const MAX_FRAMES = 1500;
+const MAX_BINS = 256;
+
+/**
+ * Compute a spectrogram heatmap
+ * Levels are in dB relative to the loudest cell, clipped at -dbRange.
+ * @param {Float32Array} samples - Mono samples normalized to [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Spectrogram options
+ * @param {number} options.fftSize - Frame length, a power of two (default: 1024)
+ * @param {number} options.hopSize - Samples between frames (default: fftSize / 4)
+ * @param {number} options.dbRange - Dynamic range shown below the loudest cell (default: 80)
+ * @param {number} options.timeOffset - Time of the first sample in seconds (default: 0)
+ * @returns {Object} {times (frame centers, s), frequencies (Hz), levels (one Float32Array per frequency row, dB), dbRange, fftSize, hopSize}
+ */
+export function computeSpectrogram(samples, sampleRate, options = {}) {
+  const {
+    fftSize = 1024,
+    hopSize = fftSize / 4,
+    dbRange = 80,
+    timeOffset = 0
+  } = options;
+
+  const binCount = (fftSize >> 1) + 1;
+  const frameCount = Math.max(Math.floor((samples.length - fftSize) / hopSize) + 1, 1);
+  const framePool = Math.ceil(frameCount / MAX_FRAMES);
+  const binPool = Math.ceil(binCount / MAX_BINS);
+  const columns = Math.ceil(frameCount / framePool);
+  const rows = Math.ceil(binCount / binPool);
+
+  // Pooled magnitudes, row-major by frequency so rows can go straight to Plotly's z
+  const pooled = Array.from({ length: rows }, () => new Float32Array(columns));
+  stft(samples, { fftSize, hopSize }, (magnitudes, frame) => {
+    const column = Math.floor(frame / framePool);
+    for (let k = 0; k < binCount; k++) {
+      const row = pooled[Math.floor(k / binPool)];
+      if (magnitudes[k] > row[column]) row[column] = magnitudes[k];
+    }
+  });
+
+  let peak = 0;
+  for (const row of pooled) {
+    for (let c = 0; c < columns; c++) {
+      peak = Math.max(peak, row[c]);
+    }
+  }
+
+  const floor = -dbRange;
+  for (const row of pooled) {
+    for (let c = 0; c < columns; c++) {
+      const db = 20 * Math.log10((row[c] + 1e-12) / (peak + 1e-12));
+      row[c] = Math.max(db, floor);
+    }
+  }
+
+  // Each cell is labeled with the middle of the frames and bins it pools
+  const times = new Float32Array(columns);
+  for (let c = 0; c < columns; c++) {
+    const frame = Math.min((c + 0.5) * framePool, frameCount) - 0.5;
+    times[c] = timeOffset + (frame * hopSize + fftSize / 2) / sampleRate;
+  }
+  const frequencies = new Float32Array(rows);
+  for (let r = 0; r < rows; r++) {
+    const bin = Math.min((r + 0.5) * binPool, binCount) - 0.5;
+    frequencies[r] = (bin * sampleRate) / fftSize;
+  }
+
+  return { times, frequencies, levels: pooled, dbRange, fftSize, hopSize };
+}
@@ -6,33 +6,55 @@
 import Plotly from 'plotly.js-dist-min';
 import * as signal from './signal-processing.js';
 
+// Points per waveform/envelope trace sent to Plotly, at any zoom level
+const MAX_POINTS = 5000;
+
+// Minimum time between playhead redraws during playback, in milliseconds
+const PLAYHEAD_INTERVAL = 100;
+
 export class ROFVisualizer {
   constructor(plotElement) {
     this.plotDiv = plotElement;
+
+    // Shot editing: when editMode is on, clicks on the envelope subplot call
+    // onShotEdit({ action, time }) with action 'add' (envelope), 'remove'
+    // (detected shot), 'restore' (removed shot) or 'delete' (manual shot).
+    // Clicks on the burst timeline call onBurstEdit with { action: 'split',
+    // burstIndex, shotIndex } (a burst's shot) or { action: 'include',
+    // groupIndex } (a dropped group)
+    this.editMode = false;
+    this.onShotEdit = null;
+    this.onBurstEdit = null;
+
+    // Outside edit mode, clicking any point calls onSeek(time)
+    this.onSeek = null;
+    this.playheadTime = null; // Media playback position, drawn across all subplots
+    this.playheadDrawnAt = 0; // performance.now() of the last playhead relayout
+    this.playheadTimer = null; // Pending throttled playhead relayout
+    this.clickBound = false;
+    this.current = null; // { detector, results } of the last render
+    this.detailTraces = []; // Traces re-decimated on zoom: { index, signal (detector property) }
   }
 
   /**
-   * Render complete visualization with three subplots
+   * Render complete visualization with three subplots, or four when
+   * detector.spectrogram (see computeSpectrogram) is present
    */
-  render(detector, results) {
+  async render(detector, results) {
     const sampleRate = detector.sampleRate;
-    const audioDuration = results.audioDuration;
+    // Trimmed audio starts part-way into the file; plot in file time
+    const { start: timeStart, end: timeEnd } = results.timeRange ?? { start: 0, end: results.audioDuration };
 
-    // Calculate threshold for envelope plot
-    const meanLevel = signal.mean(detector.envelope);
-    const stdLevel = signal.std(detector.envelope);
-    const threshold = meanLevel + detector.peakThresholdStd * stdLevel;
-
-    // Prepare time arrays
-    const audioTimeArray = this.createTimeArray(detector.audioData.length, sampleRate);
-    const envelopeTimeArray = this.createTimeArray(detector.envelope.length, sampleRate);
-
-    // Downsample for performance if needed
-    const maxPoints = 5000;
-    const audioDownsampled = this.downsample(detector.audioData, audioTimeArray, maxPoints);
-    const envelopeDownsampled = this.downsample(detector.envelope, envelopeTimeArray, maxPoints);
+    // Per-sample signals are decimated to the whole range here and refined
+    // for the visible range after render and on every zoom (refineDetail)
+    const fullRange = [timeStart, timeEnd];
+    const decimate = (name) => this.decimate(detector[name], sampleRate, timeStart, fullRange);
+    const audioDownsampled = decimate('audioData');
+    const envelopeDownsampled = decimate('envelope');
 
     const traces = [];
+    const detailTraces = []; // { index, signal } of each trace drawn from a per-sample signal
+    detailTraces.push({ index: traces.length, signal: 'audioData' });
 
     // --- Trace 1: Raw Audio Waveform ---
     traces.push({
@@ -47,36 +69,91 @@ export class ROFVisualizer {
       hovertemplate: 'Time: %{x:.3f}s<br>Amplitude: %{y:.3f}<extra></extra>'
     });
 
+    // --- Trace 1b: Pre-filtered Waveform (only when a filter is enabled) ---
+    if (detector.filteredAudio) {
+      const filteredDownsampled = decimate('filteredAudio');
+
+      detailTraces.push({ index: traces.length, signal: 'filteredAudio' });
+      traces.push({
+        x: filteredDownsampled.time,
+        y: filteredDownsampled.data,
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Filtered Waveform',
+        line: { color: '#E67E22', width: 1 },
+        xaxis: 'x1',
+        yaxis: 'y1',
+        hovertemplate: 'Time: %{x:.3f}s<br>Filtered: %{y:.3f}<extra></extra>'
+      });
+    }
+
     // --- Trace 2: Audio Envelope ---
+    detailTraces.push({ index: traces.length, signal: 'envelope' });
     traces.push({
       x: envelopeDownsampled.time,
       y: envelopeDownsampled.data,
       type: 'scatter',
       mode: 'lines',
       name: 'Envelope',
+      meta: 'envelope',
       line: { color: '#2E8B57', width: 1.5 },
       xaxis: 'x2',
       yaxis: 'y2',
       hovertemplate: 'Time: %{x:.3f}s<br>Envelope: %{y:.3f}<extra></extra>'
     });
 
-    // --- Trace 3: Detection Threshold Line ---
-    traces.push({
-      x: [0, audioDuration],
-      y: [threshold, threshold],
-      type: 'scatter',
-      mode: 'lines',
-      name: 'Threshold',
-      line: { color: '#FF4444', width: 2, dash: 'dash' },
-      xaxis: 'x2',
-      yaxis: 'y2',
-      hovertemplate: 'Threshold: %{y:.3f}<extra></extra>'
-    });
+    // --- Trace 3: Detection Threshold (envelope detection only) ---
+    if (detector.thresholdCurve) {
+      // Local threshold varies with time
+      const thresholdDownsampled = decimate('thresholdCurve');
+
+      detailTraces.push({ index: traces.length, signal: 'thresholdCurve' });
+      traces.push({
+        x: thresholdDownsampled.time,
+        y: thresholdDownsampled.data,
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Threshold',
+        line: { color: '#FF4444', width: 2, dash: 'dash' },
+        xaxis: 'x2',
+        yaxis: 'y2',
+        hovertemplate: 'Time: %{x:.3f}s<br>Threshold: %{y:.3f}<extra></extra>'
+      });
+    } else if (results.threshold != null) {
+      traces.push({
+        x: [timeStart, timeEnd],
+        y: [results.threshold, results.threshold],
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Threshold',
+        line: { color: '#FF4444', width: 2, dash: 'dash' },
+        xaxis: 'x2',
+        yaxis: 'y2',
+        hovertemplate: 'Threshold: %{y:.3f}<extra></extra>'
+      });
+    }
 
     // --- Trace 4: Detected Peaks (Shot Markers) ---
-    if (results.peaks && results.peaks.length > 0) {
-      const peakTimes = results.peaks.map(idx => idx / sampleRate);
-      const peakValues = results.peaks.map(idx => detector.envelope[idx]);
+    // Shots sit at their refined times (see RateOfFireDetector.locateShots),
+    // which can be between samples or on the rising edge rather than the peak
+    const removedPeaks = new Set(results.removedPeaks ?? []);
+    const keptPeaks = [];
+    const removedPeakIndices = [];
+    (results.peaks ?? []).forEach((_, i) => {
+      if (removedPeaks.has(i)) removedPeakIndices.push(i);
+      else keptPeaks.push(i);
+    });
+
+    const peakTimes = keptPeaks.map(i => results.peakTimes[i]);
+    if (keptPeaks.length > 0) {
+      const peakValues = peakTimes.map(time => this.envelopeAt(detector, time, timeStart));
+
+      // Show why each shot passed: prominence and width at half prominence
+      const { prominences = [], widths = [] } = results.peakProperties ?? {};
+      const peakDetails = keptPeaks.map(i => [
+        prominences[i] ?? NaN,
+        ((widths[i] ?? NaN) / sampleRate) * 1000
+      ]);
 
       traces.push({
         x: peakTimes,
@@ -84,6 +161,7 @@ export class ROFVisualizer {
         type: 'scatter',
         mode: 'markers',
         name: 'Detected Shots',
+        meta: 'detected',
         marker: {
           color: '#FF0000',
           size: 8,
@@ -92,7 +170,131 @@ export class ROFVisualizer {
         },
         xaxis: 'x2',
         yaxis: 'y2',
-        hovertemplate: 'Shot at %{x:.3f}s<br>Peak: %{y:.3f}<extra></extra>'
+        customdata: peakDetails,
+        hovertemplate:
+          'Shot at %{x:.3f}s<br>' +
+          'Peak: %{y:.3f}<br>' +
+          'Prominence: %{customdata[0]:.3f}<br>' +
+          'Width: %{customdata[1]:.2f} ms' +
+          '<extra></extra>'
+      });
+    }
+
+    // --- Trace 4a: Manual shot edits ---
+    if (removedPeakIndices.length > 0) {
+      traces.push({
+        x: removedPeakIndices.map(i => results.peakTimes[i]),
+        y: removedPeakIndices.map(i => this.envelopeAt(detector, results.peakTimes[i], timeStart)),
+        type: 'scatter',
+        mode: 'markers',
+        name: 'Removed Shots',
+        meta: 'removed',
+        marker: { color: '#999', size: 9, symbol: 'x-thin-open', line: { width: 2 } },
+        xaxis: 'x2',
+        yaxis: 'y2',
+        hovertemplate: 'Removed shot at %{x:.3f}s<extra></extra>'
+      });
+    }
+
+    const manualShotTimes = results.manualShotTimes ?? [];
+    if (manualShotTimes.length > 0) {
+      traces.push({
+        x: manualShotTimes,
+        y: manualShotTimes.map(time => this.envelopeAt(detector, time, timeStart)),
+        type: 'scatter',
+        mode: 'markers',
+        name: 'Manual Shots',
+        meta: 'manual',
+        marker: {
+          color: '#9B59B6',
+          size: 10,
+          symbol: 'diamond',
+          line: { color: '#5B2C6F', width: 1 }
+        },
+        xaxis: 'x2',
+        yaxis: 'y2',
+        hovertemplate: 'Manual shot at %{x:.3f}s<extra></extra>'
+      });
+    }
+
+    // --- Trace 4b: Burst repair (inferred and removed shots) ---
+    const repairedBursts = (results.bursts ?? []).filter(b => b.inferredShots > 0 || b.removedShots > 0);
+    if (repairedBursts.length > 0) {
+      const envelopeAt = (time) => this.envelopeAt(detector, time, timeStart);
+      const inferredTimes = repairedBursts.flatMap(b => b.shotTimes.filter((_, j) => b.shotOrigins[j] === 'inferred'));
+      const removedTimes = repairedBursts.flatMap(b => b.removedShotTimes);
+
+      if (inferredTimes.length > 0) {
+        traces.push({
+          x: inferredTimes,
+          y: inferredTimes.map(envelopeAt),
+          type: 'scatter',
+          mode: 'markers',
+          name: 'Inferred Shots',
+          marker: {
+            color: '#FF0000',
+            size: 10,
+            symbol: 'circle-open',
+            line: { width: 2 }
+          },
+          xaxis: 'x2',
+          yaxis: 'y2',
+          hovertemplate: 'Inferred shot at %{x:.3f}s<extra></extra>'
+        });
+      }
+
+      if (removedTimes.length > 0) {
+        traces.push({
+          x: removedTimes,
+          y: removedTimes.map(envelopeAt),
+          type: 'scatter',
+          mode: 'markers',
+          name: 'Removed Doubles',
+          marker: {
+            color: '#555',
+            size: 9,
+            symbol: 'x'
+          },
+          xaxis: 'x2',
+          yaxis: 'y2',
+          hovertemplate: 'Removed double at %{x:.3f}s<extra></extra>'
+        });
+      }
+    }
+
+    // --- Spectrogram (optional fourth subplot) with shot markers ---
+    const spectrogram = detector.spectrogram;
+    if (spectrogram) {
+      traces.push({
+        x: spectrogram.times,
+        y: spectrogram.frequencies,
+        z: spectrogram.levels,
+        type: 'heatmap',
+        name: 'Spectrogram',
+        colorscale: 'Viridis',
+        zmin: -spectrogram.dbRange,
+        zmax: 0,
+        showscale: false,
+        showlegend: false,
+        xaxis: 'x4',
+        yaxis: 'y4',
+        hovertemplate: 'Time: %{x:.3f}s<br>Frequency: %{y:.0f} Hz<br>Level: %{z:.1f} dB<extra></extra>'
+      });
+
+      // One vertical segment per shot, separated by nulls so it's a single trace
+      const shotTimes = [...peakTimes, ...manualShotTimes];
+      const topFrequency = spectrogram.frequencies[spectrogram.frequencies.length - 1];
+      traces.push({
+        x: shotTimes.flatMap(time => [time, time, null]),
+        y: shotTimes.flatMap(() => [0, topFrequency, null]),
+        type: 'scatter',
+        mode: 'lines',
+        name: 'Shots (Spectrogram)',
+        showlegend: false,
+        line: { color: 'rgba(255, 255, 255, 0.7)', width: 1 },
+        xaxis: 'x4',
+        yaxis: 'y4',
+        hoverinfo: 'skip'
       });
     }
 
@@ -106,14 +308,14 @@ export class ROFVisualizer {
         const shotTimes = burstData.shotTimes;
         const yPos = i + 1; // Y position for this burst
 
-        // Burst span (rectangle background)
+        // Burst span (rectangle background), faded when excluded from the summary
         traces.push({
           x: [burstData.startTime, burstData.endTime, burstData.endTime, burstData.startTime, burstData.startTime],
           y: [yPos - 0.3, yPos - 0.3, yPos + 0.3, yPos + 0.3, yPos - 0.3],
           type: 'scatter',
           mode: 'lines',
           fill: 'toself',
-          fillcolor: colors[i] + '40', // Semi-transparent
+          fillcolor: colors[i] + (burstData.excluded ? '15' : '40'), // Semi-transparent
           line: { width: 0 },
           name: `Burst ${i + 1} Span`,
           showlegend: false,
@@ -122,17 +324,21 @@ export class ROFVisualizer {
           hoverinfo: 'skip'
         });
 
-        // Individual shots in this burst
+        // Individual shots in this burst (inferred shots drawn hollow)
+        const origins = burstData.shotOrigins ?? [];
         traces.push({
           x: shotTimes,
           y: Array(shotTimes.length).fill(yPos),
           type: 'scatter',
           mode: 'markers',
-          name: `Burst ${i + 1} (${burstData.rateRpm.toFixed(0)} RPM)`,
+          name: `Burst ${i + 1} (${burstData.rateRpm.toFixed(0)} RPM${burstData.excluded ? ', excluded' : ''})`,
+          meta: 'burst',
+          customdata: shotTimes.map((_, j) => [i, j]),
+          opacity: burstData.excluded ? 0.4 : 1,
           marker: {
             color: colors[i],
             size: 10,
-            symbol: 'circle',
+            symbol: shotTimes.map((_, j) => (origins[j] === 'inferred' ? 'circle-open' : 'circle')),
             line: { color: '#000', width: 1 }
           },
           xaxis: 'x3',
@@ -146,10 +352,10 @@ export class ROFVisualizer {
             '<extra></extra>'
         });
       }
-    } else {
+    } else if ((results.droppedGroups ?? []).length === 0) {
       // Empty burst plot
       traces.push({
-        x: [audioDuration / 2],
+        x: [(timeStart + timeEnd) / 2],
         y: [0.5],
         type: 'scatter',
         mode: 'text',
@@ -162,6 +368,26 @@ export class ROFVisualizer {
       });
     }
 
+    // --- Dropped groups (below the minimum burst count) on row 0 ---
+    const droppedGroups = results.droppedGroups ?? [];
+    if (droppedGroups.length > 0) {
+      const droppedTimes = droppedGroups.flatMap(group => group.shotTimes);
+
+      traces.push({
+        x: droppedTimes,
+        y: droppedTimes.map(() => 0),
+        type: 'scatter',
+        mode: 'markers',
+        name: 'Dropped Groups',
+        meta: 'dropped',
+        customdata: droppedGroups.flatMap((group, g) => group.shotTimes.map(() => [g, group.numShots])),
+        marker: { color: '#BBB', size: 8, symbol: 'circle', line: { color: '#888', width: 1 } },
+        xaxis: 'x3',
+        yaxis: 'y3',
+        hovertemplate: 'Dropped group of %{customdata[1]} shots<br>Shot at: %{x:.3f}s<extra></extra>'
+      });
+    }
+
     // Calculate Y-axis ranges (fixed ranges for Audacity-style behavior)
     const audioMin = signal.min(detector.audioData);
     const audioMax = signal.max(detector.audioData);
@@ -183,6 +409,8 @@ export class ROFVisualizer {
         x: 0.5
       },
       hovermode: 'closest',
+      // Keep the user's zoom when re-rendering the same file
+      uirevision: results.inputFile,
 
       // Subplot 1: Raw Waveform
       xaxis1: {
@@ -243,19 +471,55 @@ export class ROFVisualizer {
         showgrid: false,
         zeroline: false,
         tickmode: 'linear',
-        tick0: 1,
+        tick0: droppedGroups.length > 0 ? 0 : 1,
         dtick: 1,
         // Fixed range - won't zoom on Y axis
         fixedrange: true,
-        range: [0.5, numBursts + 0.5]
+        range: [droppedGroups.length > 0 ? -0.5 : 0.5, numBursts + 0.5]
       },
 
+      // Media playhead across all subplots
+      shapes: [this.playheadShape()],
+
       // Responsive sizing
       autosize: true,
       height: 800,
       margin: { l: 60, r: 50, t: 80, b: 120 }
     };
 
+    // The traces only hold the visible range after zooming, so autorange would
+    // shrink to it; reset (double-click) returns to the whole analyzed range instead
+    for (const axis of ['xaxis1', 'xaxis2', 'xaxis3']) {
+      layout[axis].range = [timeStart, timeEnd];
+    }
+
+    // Subplot 4: Spectrogram, between the envelope and the burst timeline
+    if (spectrogram) {
+      layout.yaxis1.domain = [0.78, 1];
+      layout.yaxis2.domain = [0.53, 0.74];
+      layout.yaxis3.domain = [0, 0.22];
+      layout.xaxis4 = {
+        domain: [0, 1],
+        range: [timeStart, timeEnd],
+        anchor: 'y4',
+        title: 'Time (s)',
+        showgrid: false,
+        zeroline: false,
+        // Link to other x-axes for synchronized zooming
+        matches: 'x'
+      };
+      layout.yaxis4 = {
+        domain: [0.27, 0.49],
+        anchor: 'x4',
+        title: 'Frequency (Hz)',
+        showgrid: false,
+        zeroline: false,
+        fixedrange: true,
+        range: [0, spectrogram.frequencies[spectrogram.frequencies.length - 1]]
+      };
+      layout.height = 1050;
+    }
+
     // Plotly configuration
     const config = {
       responsive: true,
@@ -272,39 +536,342 @@ export class ROFVisualizer {
       scrollZoom: true // Enable scroll wheel zooming
     };
 
-    // Render the plot
-    return Plotly.newPlot(this.plotDiv, traces, layout, config);
+    // Render the plot; react() updates in place so zoom survives re-analysis
+    await Plotly.react(this.plotDiv, traces, layout, config);
+    this.current = { detector, results };
+    this.detailTraces = detailTraces;
+
+    if (!this.clickBound) {
+      this.plotDiv.on('plotly_click', (event) => this.handleClick(event));
+      this.plotDiv.on('plotly_relayout', (event) => {
+        // Playhead updates relayout too, but only zooming and panning move the x-axes
+        if (Object.keys(event).some(key => /^xaxis\d*\.(range|autorange)/.test(key))) {
+          this.refineDetail();
+        }
+      });
+      this.clickBound = true;
+    }
+
+    // uirevision keeps the zoom across re-renders, so the view may already be zoomed in
+    const [viewStart, viewEnd] = this.visibleRange();
+    if (viewStart > timeStart || viewEnd < timeEnd) this.refineDetail();
   }
 
   /**
-   * Create a time array for data
+   * Render the interval analysis: a histogram of all inter-shot intervals and
+   * each shot's instantaneous rate against its number within the burst
+   * @param {HTMLElement} plotElement - Element to draw into
+   * @param {Object} results - Analysis results with `intervals` (see analyzeIntervals) and `bursts`
    */
-  createTimeArray(length, sampleRate) {
-    const times = new Float32Array(length);
-    for (let i = 0; i < length; i++) {
-      times[i] = i / sampleRate;
+  async renderIntervals(plotElement, results) {
+    const { histogram, shots, fences } = results.intervals;
+    const colors = this.generateColors(results.bursts.length);
+    const traces = [];
+
+    // --- Interval histogram, in ms ---
+    const binStarts = histogram.counts.map((_, i) => (histogram.start + i * histogram.binWidth) * 1000);
+    traces.push({
+      x: binStarts.map(start => start + (histogram.binWidth * 1000) / 2),
+      y: histogram.counts,
+      width: histogram.binWidth * 1000,
+      type: 'bar',
+      name: 'Intervals',
+      marker: { color: '#4682B4' },
+      showlegend: false,
+      xaxis: 'x1',
+      yaxis: 'y1',
+      customdata: binStarts.map(start => [start, start + histogram.binWidth * 1000]),
+      hovertemplate: '%{customdata[0]:.1f} - %{customdata[1]:.1f} ms<br>Intervals: %{y}<extra></extra>'
+    });
+
+    // --- Instantaneous rate per shot, one line per burst ---
+    const burstNumbers = [...new Set(shots.map(s => s.burstNumber))];
+    for (const burstNumber of burstNumbers) {
+      const burstShots = shots.filter(s => s.burstNumber === burstNumber);
+      traces.push({
+        x: burstShots.map(s => s.shotNumber),
+        y: burstShots.map(s => s.rpm),
+        type: 'scatter',
+        mode: 'lines+markers',
+        name: `Burst ${burstNumber}`,
+        line: { color: colors[burstNumber - 1], width: 1.5 },
+        marker: { color: colors[burstNumber - 1], size: 6 },
+        xaxis: 'x2',
+        yaxis: 'y2',
+        customdata: burstShots.map(s => [s.time, s.interval * 1000]),
+        hovertemplate:
+          `<b>Burst ${burstNumber}</b>, shot %{x}<br>` +
+          'At: %{customdata[0]:.3f}s<br>' +
+          'Interval: %{customdata[1]:.1f} ms<br>' +
+          'Rate: %{y:.0f} RPM' +
+          '<extra></extra>'
+      });
+    }
+
+    const outliers = shots.filter(s => s.outlier);
+    if (outliers.length > 0) {
+      traces.push({
+        x: outliers.map(s => s.shotNumber),
+        y: outliers.map(s => s.rpm),
+        type: 'scatter',
+        mode: 'markers',
+        name: 'Outliers',
+        marker: { color: '#FF0000', size: 11, symbol: 'x-thin-open', line: { width: 2 } },
+        xaxis: 'x2',
+        yaxis: 'y2',
+        customdata: outliers.map(s => [s.burstNumber, s.interval * 1000]),
+        hovertemplate: 'Outlier in burst %{customdata[0]}, shot %{x}<br>Interval: %{customdata[1]:.1f} ms<extra></extra>'
+      });
     }
-    return times;
+
+    const layout = {
+      showlegend: true,
+      legend: { orientation: 'h', yanchor: 'top', y: -0.2, xanchor: 'center', x: 0.75 },
+      hovermode: 'closest',
+      bargap: 0.05,
+      xaxis1: { domain: [0, 0.42], anchor: 'y1', title: 'Interval (ms)', showgrid: true, zeroline: false },
+      yaxis1: { anchor: 'x1', title: 'Count', showgrid: true, rangemode: 'tozero' },
+      xaxis2: { domain: [0.55, 1], anchor: 'y2', title: 'Shot # in burst', showgrid: true, zeroline: false, tickformat: 'd' },
+      yaxis2: { anchor: 'x2', title: 'Instantaneous RPM', showgrid: true },
+      // Tukey's fences around the normal intervals
+      shapes: [fences.low, fences.high].filter(fence => fence > 0).map(fence => ({
+        type: 'line',
+        xref: 'x',
+        yref: 'y domain',
+        x0: fence * 1000,
+        x1: fence * 1000,
+        y0: 0,
+        y1: 1,
+        line: { color: '#FF4444', width: 1, dash: 'dot' }
+      })),
+      autosize: true,
+      height: 360,
+      margin: { l: 60, r: 30, t: 20, b: 90 }
+    };
+
+    await Plotly.react(plotElement, traces, layout, {
+      responsive: true,
+      displaylogo: false,
+      modeBarButtonsToRemove: ['lasso2d', 'select2d']
+    });
   }
 
   /**
-   * Downsample data for performance
+   * Translate a click on the envelope subplot or burst timeline into an edit
    */
-  downsample(data, timeArray, maxPoints) {
-    if (data.length <= maxPoints) {
-      return { data: Array.from(data), time: Array.from(timeArray) };
+  handleClick(event) {
+    const point = event.points?.[0];
+    if (!point || !this.current) return;
+
+    const time = point.x;
+    if (!this.editMode) {
+      if (this.onSeek) this.onSeek(time);
+      return;
+    }
+
+    switch (point.data.meta) {
+      case 'envelope':
+        if (this.onShotEdit) this.onShotEdit({ action: 'add', time: this.snapToPeak(time) });
+        break;
+      case 'detected':
+        if (this.onShotEdit) this.onShotEdit({ action: 'remove', time });
+        break;
+      case 'removed':
+        if (this.onShotEdit) this.onShotEdit({ action: 'restore', time });
+        break;
+      case 'manual':
+        if (this.onShotEdit) this.onShotEdit({ action: 'delete', time });
+        break;
+      case 'burst':
+        if (this.onBurstEdit) {
+          const [burstIndex, shotIndex] = point.customdata;
+          this.onBurstEdit({ action: 'split', burstIndex, shotIndex });
+        }
+        break;
+      case 'dropped':
+        if (this.onBurstEdit) this.onBurstEdit({ action: 'include', groupIndex: point.customdata[0] });
+        break;
     }
+  }
 
-    const step = Math.floor(data.length / maxPoints);
-    const downsampled = [];
-    const downsampledTime = [];
+  /**
+   * Vertical line at the playhead, spanning the whole figure
+   */
+  playheadShape() {
+    const time = this.playheadTime ?? 0;
+    return {
+      type: 'line',
+      xref: 'x',
+      yref: 'paper',
+      x0: time,
+      x1: time,
+      y0: 0,
+      y1: 1,
+      visible: this.playheadTime !== null,
+      layer: 'above',
+      line: { color: '#333', width: 1.5 }
+    };
+  }
 
-    for (let i = 0; i < data.length; i += step) {
-      downsampled.push(data[i]);
-      downsampledTime.push(timeArray[i]);
+  /**
+   * Move the playhead to a media time in seconds (null hides it)
+   * Safe to call every animation frame: relayouts are throttled to one per
+   * PLAYHEAD_INTERVAL, always ending on the latest time. Showing or hiding
+   * the playhead is applied at once.
+   */
+  setPlayhead(time) {
+    const toggled = (time === null) !== (this.playheadTime === null);
+    this.playheadTime = time;
+    if (!this.current) return;
+
+    const wait = PLAYHEAD_INTERVAL - (performance.now() - this.playheadDrawnAt);
+    if (toggled || wait <= 0) {
+      this.drawPlayhead();
+    } else if (this.playheadTimer === null) {
+      this.playheadTimer = setTimeout(() => this.drawPlayhead(), wait);
+    }
+  }
+
+  /**
+   * Relayout the playhead shape at the current playheadTime
+   */
+  drawPlayhead() {
+    clearTimeout(this.playheadTimer);
+    this.playheadTimer = null;
+    this.playheadDrawnAt = performance.now();
+    if (!this.current) return;
+
+    const shape = this.playheadShape();
+    Plotly.relayout(this.plotDiv, {
+      'shapes[0].x0': shape.x0,
+      'shapes[0].x1': shape.x1,
+      'shapes[0].visible': shape.visible
+    });
+  }
+
+  /**
+   * Time range currently shown on the (linked) x-axes, in seconds
+   * @returns {Array<number>|null} [start, end], or null before the first render
+   */
+  visibleRange() {
+    if (!this.current) return null;
+
+    // The x-axes are linked, so the first one's range is the visible range;
+    // Plotly stores the layout's xaxis1 as xaxis
+    const { start, end } = this.timeRange();
+    const axis = this.plotDiv.layout?.xaxis;
+    if (!axis?.range || axis.autorange === true) return [start, end];
+
+    const [from, to] = axis.range.map(Number);
+    return [Math.max(from, start), Math.min(to, end)];
+  }
+
+  /**
+   * Analyzed range of the file in the last render, in seconds
+   */
+  timeRange() {
+    const { results } = this.current;
+    return results.timeRange ?? { start: 0, end: results.audioDuration };
+  }
+
+  /**
+   * Move a clicked time to the highest envelope sample within half the
+   * minimum shot spacing, so added shots land on the transient
+   */
+  snapToPeak(time) {
+    const { detector, results } = this.current;
+    const sampleRate = detector.sampleRate;
+    const { start } = this.timeRange();
+    const radius = Math.round(((results.parameters?.minShotSpacing ?? 0.05) / 2) * sampleRate);
+    const center = Math.round((time - start) * sampleRate);
+
+    let best = Math.min(Math.max(center, 0), detector.envelope.length - 1);
+    const end = Math.min(center + radius, detector.envelope.length - 1);
+    for (let i = Math.max(center - radius, 0); i <= end; i++) {
+      if (detector.envelope[i] > detector.envelope[best]) best = i;
     }
 
-    return { data: downsampled, time: downsampledTime };
+    return start + best / sampleRate;
+  }
+
+  /**
+   * Envelope value at a file time in seconds, for an envelope starting at `timeStart`
+   */
+  envelopeAt(detector, time, timeStart) {
+    // Shot times fall between samples, so interpolate linearly
+    const position = Math.min(Math.max((time - timeStart) * detector.sampleRate, 0), detector.envelope.length - 1);
+    const idx = Math.floor(position);
+    const next = Math.min(idx + 1, detector.envelope.length - 1);
+    return detector.envelope[idx] + (detector.envelope[next] - detector.envelope[idx]) * (position - idx);
+  }
+
+  /**
+   * Min/max decimation of the samples visible in [start, end] seconds
+   * Each bucket of samples contributes its minimum and maximum, in time order,
+   * so transients keep their full height at any zoom; once the range holds
+   * fewer than maxPoints samples they are returned as-is. One sample either
+   * side of the range is included so the line reaches the plot edges.
+   * @param {Float32Array} data - Per-sample signal
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} timeStart - Time of data[0] in seconds
+   * @param {Array<number>} range - [start, end] in seconds
+   * @param {number} maxPoints - Maximum number of points returned
+   * @returns {Object} {time, data}
+   */
+  decimate(data, sampleRate, timeStart, range, maxPoints = MAX_POINTS) {
+    const first = Math.max(Math.floor((range[0] - timeStart) * sampleRate) - 1, 0);
+    const last = Math.min(Math.ceil((range[1] - timeStart) * sampleRate) + 1, data.length - 1);
+    const time = [];
+    const values = [];
+
+    const count = last - first + 1;
+    if (count <= maxPoints) {
+      for (let i = first; i <= last; i++) {
+        time.push(timeStart + i / sampleRate);
+        values.push(data[i]);
+      }
+      return { time, data: values };
+    }
+
+    const bucketSize = Math.ceil(count / (maxPoints >> 1));
+    for (let bucket = first; bucket <= last; bucket += bucketSize) {
+      const bucketEnd = Math.min(bucket + bucketSize - 1, last);
+      let minIdx = bucket;
+      let maxIdx = bucket;
+      for (let i = bucket + 1; i <= bucketEnd; i++) {
+        if (data[i] < data[minIdx]) minIdx = i;
+        if (data[i] > data[maxIdx]) maxIdx = i;
+      }
+
+      const pair = minIdx <= maxIdx ? [minIdx, maxIdx] : [maxIdx, minIdx];
+      for (const i of pair) {
+        time.push(timeStart + i / sampleRate);
+        values.push(data[i]);
+      }
+    }
+
+    return { time, data: values };
+  }
+
+  /**
+   * Re-decimate the per-sample traces for the visible x-range
+   * Called after zooming or panning; only the traces' points are restyled.
+   */
+  refineDetail() {
+    if (!this.current || this.detailTraces.length === 0) return;
+
+    const range = this.visibleRange();
+    const { detector } = this.current;
+    const { start } = this.timeRange();
+
+    const decimated = this.detailTraces.map(({ signal: name }) => {
+      return this.decimate(detector[name], detector.sampleRate, start, range);
+    });
+
+    Plotly.restyle(this.plotDiv, {
+      x: decimated.map(d => d.time),
+      y: decimated.map(d => d.data)
+    }, this.detailTraces.map(({ index }) => index));
   }
 
   /**
@@ -18,6 +18,10 @@ export default defineConfig({
       ],
     },
   },
+  worker: {
+    // The detector worker imports ES modules
+    format: 'es',
+  },
   optimizeDeps: {
     exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util'],
   },